@@ -0,0 +1,69 @@
+// Service worker: оболочка приложения и статические файлы доступны без сети.
+// Данные таблицы кэшируются самим приложением (IndexedDB), запросы к другим доменам не перехватываются.
+const CACHE_NAME = 'tashkent-forecast-v2';
+const APP_SHELL = ['/', '/index.html'];
+// Пишется Vite при сборке (build.manifest в vite.config.js): хэшированные JS, CSS и картинки
+const ASSET_MANIFEST = '/asset-manifest.json';
+// Границы районов для карты кладутся в public/data отдельно; без файла установка не должна падать
+const OPTIONAL_FILES = ['/data/tashkent-districts.geojson'];
+
+async function precacheList() {
+  const response = await fetch(ASSET_MANIFEST, { cache: 'no-store' });
+  if (!response.ok) return APP_SHELL;
+  const manifest = await response.json();
+  const files = new Set();
+  Object.values(manifest).forEach(chunk => {
+    [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])].filter(Boolean).forEach(file => files.add(`/${file}`));
+  });
+  return [...APP_SHELL, ...files];
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(CACHE_NAME), precacheList()]).then(([cache, urls]) => Promise.all([
+      cache.addAll(urls),
+      ...OPTIONAL_FILES.map(url => cache.add(url).catch(() => null)),
+    ]))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Страница: сначала сеть, без сети — сохранённая копия
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Статика: из кэша, с обновлением в фоне
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached);
+      return cached || network;
+    }))
+  );
+});
@@ -1,7 +1,7 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, createContext, useContext } from 'react';
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, 
-  ResponsiveContainer, BarChart, Bar, Cell
+  ResponsiveContainer, BarChart, Bar, Cell, ComposedChart, Area, ReferenceLine
 } from 'recharts';
 
 // ==========================================
@@ -9,7 +9,21 @@ import {
 // ==========================================
 const GOOGLE_SHEETS_ID = '1oJtLLMd13oPqNGS2htIS7kS-CVGvr1vIQJXEXBVqd-4';
 const SHEET_NAME = 'Цены (Актуальные)';
-const SHEETS_URL = `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEETS_ID}/edit`;
+const STATIC_JSON_URL = '/data/sample.json';
+
+// Источник данных по умолчанию
+const DEFAULT_DATA_SOURCE = {
+  type: 'sheets',
+  sheetId: GOOGLE_SHEETS_ID,
+  sheetName: SHEET_NAME,
+  // gid листа (число после #gid= в адресе таблицы) — нужен только для ссылок на ячейки
+  sheetGid: '',
+  url: STATIC_JSON_URL,
+};
+
+// Служебное поле строки для отчёта о качестве данных: номер строки в Google Sheets,
+// для файлов и JSON — порядковый номер записи
+const ROW_NUMBER_KEY = '__row';
 
 // Точные названия колонок из таблицы
 const COLUMNS = {
@@ -26,30 +40,128 @@ const CLASS_COLORS = {
   'Премиум': '#f59e0b'
 };
 
-const DISTRICT_COLORS = {
-  'Мирзо-Улугбекский': '#3b82f6',
-  'Мирабадский': '#8b5cf6',
-  'Яшнабадский': '#10b981',
-  'Алмазарский': '#f59e0b',
-  'Яккасарийский': '#ec4899'
+// Справочник районов Ташкента: каноническое название, цвет и варианты написания
+// (русский, узбекская кириллица и латиница, прежние названия). Варианты сравниваются
+// после normalizeDistrictText — без регистра, пробелов, дефисов и апострофов.
+const DISTRICTS = {
+  'Алмазарский': { color: '#f59e0b', aliases: ['алмазар', 'олмазор', 'almazar', 'olmazor', 'сабиррахимов', 'собиррахимов', 'sobirrahimov'] },
+  'Бектемирский': { color: '#84cc16', aliases: ['бектемир', 'bektemir'] },
+  'Мирабадский': { color: '#8b5cf6', aliases: ['мирабад', 'миробод', 'mirabad', 'mirobod'] },
+  'Мирзо-Улугбекский': { color: '#3b82f6', aliases: ['мирзоулугбек', 'мирзо', 'mirzoulugbek', 'mirzo'] },
+  'Сергелийский': { color: '#ef4444', aliases: ['сергели', 'sergeli'] },
+  'Учтепинский': { color: '#06b6d4', aliases: ['учтепа', 'учтепин', 'uchtepa', 'uchtepin', 'акмальикрамов', 'akmalikramov'] },
+  'Чиланзарский': { color: '#14b8a6', aliases: ['чиланзар', 'чилонзор', 'chilanzar', 'chilonzor'] },
+  'Шайхантахурский': { color: '#a855f7', aliases: ['шайхантахур', 'шайхантаур', 'шайхонтохур', 'shayxontohur', 'shayhontohur', 'shaykhontokhur', 'shaykhantakhur', 'shaikhantakhur'] },
+  'Юнусабадский': { color: '#0ea5e9', aliases: ['юнусабад', 'юнусобод', 'yunusabad', 'yunusobod'] },
+  'Яккасарайский': { color: '#ec4899', aliases: ['яккасарай', 'яккасарий', 'яккасарой', 'yakkasaray', 'yakkasaroy'] },
+  'Яшнабадский': { color: '#10b981', aliases: ['яшнабад', 'яшнобод', 'yashnabad', 'yashnobod', 'хамзин', 'хамза', 'hamza'] },
+  'Янгихаётский': { color: '#f97316', aliases: ['янгихает', 'янгихают', 'yangihayot', 'yangixayot', 'yangihayat'] },
 };
 
+const DISTRICT_COLORS = Object.fromEntries(Object.entries(DISTRICTS).map(([name, d]) => [name, d.color]));
+
 // ==========================================
 // МОДЕЛЬ TSK
 // ==========================================
+// Вклад изменения цены за наблюдаемую историю в прогноз
+const TREND_FACTOR = 0.3;
+
+// Горизонты прогноза, мес
+const FORECAST_HORIZONS = [6, 12, 18, 24];
+
+// Параметры по умолчанию (экспертные правила)
+const DEFAULT_TSK_PARAMS = {
+  rules: [
+    { time: 'short', activity: 'high', consequent: 0.06 },
+    { time: 'short', activity: 'medium', consequent: 0.03 },
+    { time: 'short', activity: 'low', consequent: 0.01 },
+    { time: 'medium', activity: 'high', consequent: 0.12 },
+    { time: 'medium', activity: 'medium', consequent: 0.07 },
+    { time: 'medium', activity: 'low', consequent: 0.03 },
+    { time: 'long', activity: 'high', consequent: 0.20 },
+    { time: 'long', activity: 'medium', consequent: 0.12 },
+    { time: 'long', activity: 'low', consequent: 0.06 },
+  ],
+  timeParams: {
+    short: { center: 6, sigma: 3 },
+    medium: { center: 12, sigma: 4 },
+    long: { center: 24, sigma: 6 }
+  },
+  activityParams: {
+    high: { center: 0.7, sigma: 0.2 },
+    medium: { center: 0.5, sigma: 0.2 },
+    low: { center: 0.3, sigma: 0.2 }
+  },
+  // Множитель прогноза по классу; класс ищется по вхождению названия, порядок важен
+  classCoefficients: {
+    'Премиум': 1.25,
+    'Бизнес': 1.15,
+    'Комфорт': 1.0,
+  },
+};
+
+function cloneTSKParams(params) {
+  return JSON.parse(JSON.stringify(params));
+}
+
+const TSK_PARAMS_FILE_FORMAT = 'tashkent-forecast/tsk-params';
+
+/**
+ * Проверка параметров TSK из файла. Принимает как сохранённый файл { format, params },
+ * так и голый объект параметров; недостающие коэффициенты классов берутся по умолчанию.
+ */
+function validateTSKParams(input) {
+  const params = input && input.format === TSK_PARAMS_FILE_FORMAT ? input.params : input;
+  const isNumber = (v) => typeof v === 'number' && isFinite(v);
+  const checkTerms = (group, terms, label, names) => {
+    Object.keys(terms).forEach(term => {
+      const p = params[group]?.[term];
+      if (!p || !isNumber(p.center) || !isNumber(p.sigma) || p.sigma <= 0) {
+        throw new Error(`Неверная функция принадлежности: ${label} «${names[term]}»`);
+      }
+    });
+  };
+
+  if (!params || !Array.isArray(params.rules)) throw new Error('В файле нет таблицы правил');
+  DEFAULT_TSK_PARAMS.rules.forEach(({ time, activity }) => {
+    const rule = params.rules.find(r => r.time === time && r.activity === activity);
+    if (!rule || !isNumber(rule.consequent)) throw new Error(`Нет правила «${TIME_TERMS[time]} срок × ${ACTIVITY_TERMS[activity]} активность»`);
+  });
+  checkTerms('timeParams', DEFAULT_TSK_PARAMS.timeParams, 'срок', TIME_TERMS);
+  checkTerms('activityParams', DEFAULT_TSK_PARAMS.activityParams, 'активность', ACTIVITY_TERMS);
+
+  const classCoefficients = { ...DEFAULT_TSK_PARAMS.classCoefficients, ...(params.classCoefficients || {}) };
+  Object.entries(classCoefficients).forEach(([cls, k]) => {
+    if (!isNumber(k) || k <= 0) throw new Error(`Неверный коэффициент класса «${cls}»`);
+  });
+
+  return cloneTSKParams({
+    rules: DEFAULT_TSK_PARAMS.rules.map(({ time, activity }) => {
+      const rule = params.rules.find(r => r.time === time && r.activity === activity);
+      return { time, activity, consequent: rule.consequent };
+    }),
+    timeParams: params.timeParams,
+    activityParams: params.activityParams,
+    classCoefficients,
+  });
+}
+
 class FuzzyTSKModel {
-  constructor() {
-    this.rules = [
-      { time: 'short', activity: 'high', consequent: 0.06 },
-      { time: 'short', activity: 'medium', consequent: 0.03 },
-      { time: 'short', activity: 'low', consequent: 0.01 },
-      { time: 'medium', activity: 'high', consequent: 0.12 },
-      { time: 'medium', activity: 'medium', consequent: 0.07 },
-      { time: 'medium', activity: 'low', consequent: 0.03 },
-      { time: 'long', activity: 'high', consequent: 0.20 },
-      { time: 'long', activity: 'medium', consequent: 0.12 },
-      { time: 'long', activity: 'low', consequent: 0.06 },
-    ];
+  constructor(params = DEFAULT_TSK_PARAMS) {
+    const p = cloneTSKParams(params);
+    this.rules = p.rules;
+    this.timeParams = p.timeParams;
+    this.activityParams = p.activityParams;
+    this.classCoefficients = p.classCoefficients || { ...DEFAULT_TSK_PARAMS.classCoefficients };
+  }
+
+  getParams() {
+    return cloneTSKParams({
+      rules: this.rules,
+      timeParams: this.timeParams,
+      activityParams: this.activityParams,
+      classCoefficients: this.classCoefficients,
+    });
   }
 
   gaussian(x, center, sigma) {
@@ -58,48 +170,188 @@ class FuzzyTSKModel {
 
   getClassCoefficient(className) {
     const cls = (className || '').toLowerCase();
-    if (cls.includes('премиум')) return 1.25;
-    if (cls.includes('бизнес')) return 1.15;
-    return 1.0;
+    const match = Object.keys(this.classCoefficients).find(name => cls.includes(name.toLowerCase()));
+    return match ? this.classCoefficients[match] : 1.0;
+  }
+
+  // Степени срабатывания правил (слабые правила отсекаются)
+  ruleWeights(timeMonths, marketActivity) {
+    return this.rules.map(rule => {
+      const tp = this.timeParams[rule.time];
+      const ap = this.activityParams[rule.activity];
+      const wTime = this.gaussian(timeMonths, tp.center, tp.sigma);
+      const wActivity = this.gaussian(marketActivity, ap.center, ap.sigma);
+      const w = Math.min(wTime, wActivity);
+      return w > 0.01 ? w : 0;
+    });
+  }
+
+  // Правила, сработавшие сильнее всего (нормированные веса)
+  firedRules(timeMonths, marketActivity, limit = 3) {
+    const weights = this.ruleWeights(timeMonths, marketActivity);
+    const total = weights.reduce((a, w) => a + w, 0);
+    if (total === 0) return [];
+    return this.rules
+      .map((rule, i) => ({ ...rule, weight: weights[i] / total }))
+      .filter(r => r.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
   }
 
   predict(timeMonths, marketActivity, trend, className) {
-    const timeParams = {
-      short: { center: 6, sigma: 3 },
-      medium: { center: 12, sigma: 4 },
-      long: { center: 24, sigma: 6 }
-    };
-    
-    const activityParams = {
-      high: { center: 0.7, sigma: 0.2 },
-      medium: { center: 0.5, sigma: 0.2 },
-      low: { center: 0.3, sigma: 0.2 }
-    };
+    const weights = this.ruleWeights(timeMonths, marketActivity);
 
     let totalWeight = 0;
     let weightedSum = 0;
 
-    for (const rule of this.rules) {
-      const wTime = this.gaussian(timeMonths, timeParams[rule.time].center, timeParams[rule.time].sigma);
-      const wActivity = this.gaussian(marketActivity, activityParams[rule.activity].center, activityParams[rule.activity].sigma);
-      const w = Math.min(wTime, wActivity);
-      
-      if (w > 0.01) {
-        totalWeight += w;
-        weightedSum += w * rule.consequent;
-      }
-    }
+    weights.forEach((w, i) => {
+      totalWeight += w;
+      weightedSum += w * this.rules[i].consequent;
+    });
 
     let baseChange = totalWeight > 0 ? weightedSum / totalWeight : 0.05;
-    baseChange += trend * 0.3;
+    baseChange += trend * TREND_FACTOR;
     baseChange *= this.getClassCoefficient(className);
 
     return baseChange;
   }
 
-  forecast(basePrice, className, trend, marketActivity = 0.5) {
-    return [6, 12, 18, 24].map(months => {
-      const change = this.predict(months, marketActivity, trend, className);
+  // Тренд приходит в год, а правила откалиброваны на изменении цены за всю историю —
+  // переводим обратно по длине истории (без неё считаем, что история охватывает год)
+  forecast(basePrice, className, trend, marketActivity = DEFAULT_MARKET_ACTIVITY, horizons = FORECAST_HORIZONS, history = null) {
+    const span = history && history.length > 1 ? history[history.length - 1].t - history[0].t : 12;
+    const historyChange = trend * span / 12;
+    return horizons.map(months => {
+      const change = this.predict(months, marketActivity, historyChange, className);
+      return {
+        months,
+        price: Math.round(basePrice * (1 + change)),
+        change: (change * 100).toFixed(1)
+      };
+    });
+  }
+}
+
+// ==========================================
+// ДРУГИЕ МОДЕЛИ ПРОГНОЗА
+// ==========================================
+/**
+ * Все модели выполняют контракт FuzzyTSKModel:
+ *   forecast(basePrice, className, trend, marketActivity, horizons, history) -> [{ months, price, change }]
+ * history — ряд цен ЖК или группы [{ t, price }] (старые -> новые, t — месяцы от первой колонки
+ * по датам в заголовках, пропуски = null). Модели по ряду не используют активность рынка.
+ * Переданный trend (в год) сдвигает наклон, если он отличается от роста самого ряда —
+ * так на них действуют сценарии.
+ * Если в ряду меньше двух точек, прогноз — цена без изменений.
+ */
+function historyPoints(history) {
+  return (history || []).filter(p => p.price !== null && p.price !== undefined && p.price > 0);
+}
+
+// Ряд значений по колонкам цен -> ряд с временем колонок
+function timedHistory(values, months) {
+  return values.map((price, i) => ({ t: months[i], price }));
+}
+
+// Наименьшие квадраты для y = intercept + slope * t
+function linearFit(points, value = p => p.price) {
+  const mt = average(points.map(p => p.t));
+  const my = average(points.map(value));
+  let sxy = 0;
+  let sxx = 0;
+  points.forEach(p => {
+    sxy += (p.t - mt) * (value(p) - my);
+    sxx += (p.t - mt) * (p.t - mt);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, intercept: my - slope * mt };
+}
+
+class HistoryForecastModel {
+  // Изменение цены (доля) через каждый горизонт после последней точки ряда
+  changes(points, horizons) {
+    return horizons.map(() => 0);
+  }
+
+  forecast(basePrice, className, trend, marketActivity = DEFAULT_MARKET_ACTIVITY, horizons = FORECAST_HORIZONS, history = null) {
+    const points = historyPoints(history);
+    let changes = horizons.map(() => 0);
+
+    if (points.length >= 2) {
+      changes = this.changes(points, horizons);
+      const first = points[0];
+      const last = points[points.length - 1];
+      const ownTrend = annualTrend(first.price, last.price, last.t - first.t);
+      if (trend !== null && trend !== undefined && last.t > first.t) {
+        changes = changes.map((c, i) => c + (trend - ownTrend) * horizons[i] / 12);
+      }
+    }
+
+    return horizons.map((months, i) => ({
+      months,
+      price: Math.round(basePrice * (1 + changes[i])),
+      change: (changes[i] * 100).toFixed(1)
+    }));
+  }
+}
+
+// Линейный тренд: цена растёт на одну и ту же сумму в месяц
+class LinearTrendModel extends HistoryForecastModel {
+  changes(points, horizons) {
+    const { slope, intercept } = linearFit(points);
+    const level = intercept + slope * points[points.length - 1].t;
+    return horizons.map(h => (level > 0 ? slope * h / level : 0));
+  }
+}
+
+// Лог-линейный тренд: цена растёт на один и тот же процент в месяц
+class LogLinearTrendModel extends HistoryForecastModel {
+  changes(points, horizons) {
+    const { slope } = linearFit(points, p => Math.log(p.price));
+    return horizons.map(h => Math.exp(slope * h) - 1);
+  }
+}
+
+// Экспоненциальное сглаживание Хольта; alpha и beta подбираются по ошибке прогноза на шаг вперёд
+const HOLT_GRID = [0.2, 0.4, 0.6, 0.8];
+
+class HoltModel extends HistoryForecastModel {
+  smooth(prices, alpha, beta) {
+    let level = prices[0];
+    let slope = prices[1] - prices[0];
+    let sse = 0;
+    for (let i = 1; i < prices.length; i++) {
+      sse += Math.pow(prices[i] - (level + slope), 2);
+      const nextLevel = alpha * prices[i] + (1 - alpha) * (level + slope);
+      slope = beta * (nextLevel - level) + (1 - beta) * slope;
+      level = nextLevel;
+    }
+    return { level, slope, sse };
+  }
+
+  changes(points, horizons) {
+    const prices = points.map(p => p.price);
+    let best = null;
+    HOLT_GRID.forEach(alpha => HOLT_GRID.forEach(beta => {
+      const fit = this.smooth(prices, alpha, beta);
+      if (!best || fit.sse < best.sse) best = fit;
+    }));
+    // Сглаживание идёт по шагам ряда; при неравных промежутках берём средний шаг в месяцах
+    const step = (points[points.length - 1].t - points[0].t) / (points.length - 1) || 1;
+    return horizons.map(h => (best.level > 0 ? best.slope * (h / step) / best.level : 0));
+  }
+}
+
+// Ансамбль: среднее изменений моделей-участников
+class EnsembleModel {
+  constructor(members) {
+    this.members = members;
+  }
+
+  forecast(basePrice, className, trend, marketActivity = DEFAULT_MARKET_ACTIVITY, horizons = FORECAST_HORIZONS, history = null) {
+    const results = this.members.map(m => m.forecast(basePrice, className, trend, marketActivity, horizons, history));
+    return horizons.map((months, i) => {
+      const change = average(results.map(r => parseFloat(r[i].change) / 100));
       return {
         months,
         price: Math.round(basePrice * (1 + change)),
@@ -109,11 +361,506 @@ class FuzzyTSKModel {
   }
 }
 
+const FORECAST_MODELS = {
+  tsk: { label: 'Нечёткая TSK', create: (tskModel) => tskModel },
+  linear: { label: 'Линейный тренд', create: () => new LinearTrendModel() },
+  loglinear: { label: 'Лог-линейный тренд', create: () => new LogLinearTrendModel() },
+  holt: { label: 'Хольт', create: () => new HoltModel() },
+  ensemble: {
+    label: 'Ансамбль',
+    create: (tskModel) => new EnsembleModel([tskModel, new LinearTrendModel(), new LogLinearTrendModel(), new HoltModel()]),
+  },
+};
+
+const FORECAST_MODEL_STORAGE_KEY = 'tashkent-forecast:model';
+
+function createForecastModel(id, tskModel) {
+  return (FORECAST_MODELS[id] || FORECAST_MODELS.tsk).create(tskModel);
+}
+
+// ==========================================
+// АКТИВНОСТЬ РЫНКА
+// ==========================================
+const DEFAULT_MARKET_ACTIVITY = 0.5;
+
+/**
+ * Активность рынка по группе ЖК на месяц cutoff (индекс колонки цены).
+ * Складывается из доли ЖК, сменивших цену за месяц, доли новых ЖК
+ * и разброса месячных изменений; результат в диапазоне 0.2–0.8.
+ */
+function computeMarketActivity(jks, cutoff) {
+  const listed = jks.filter(jk => jk.priceIndices.includes(cutoff));
+  if (cutoff < 1 || listed.length === 0) {
+    return { value: DEFAULT_MARKET_ACTIVITY, movedShare: null, newShare: null, dispersion: null, count: listed.length };
+  }
+
+  const changes = [];
+  let newCount = 0;
+  listed.forEach(jk => {
+    const pos = jk.priceIndices.indexOf(cutoff);
+    if (pos === 0) {
+      newCount++;
+      return;
+    }
+    if (jk.priceIndices[pos - 1] === cutoff - 1) {
+      changes.push(jk.prices[pos] / jk.prices[pos - 1] - 1);
+    }
+  });
+
+  const movedShare = changes.length > 0
+    ? changes.filter(c => Math.abs(c) > 0.001).length / changes.length
+    : 0;
+  const newShare = newCount / listed.length;
+  const mean = changes.length > 0 ? changes.reduce((a, c) => a + c, 0) / changes.length : 0;
+  const dispersion = changes.length > 1
+    ? Math.sqrt(changes.reduce((a, c) => a + Math.pow(c - mean, 2), 0) / (changes.length - 1))
+    : 0;
+
+  const score = 0.5 * movedShare
+    + 0.25 * Math.min(newShare / 0.2, 1)
+    + 0.25 * Math.min(dispersion / 0.05, 1);
+
+  return { value: 0.2 + 0.6 * score, movedShare, newShare, dispersion, count: listed.length };
+}
+
+// ==========================================
+// СЦЕНАРИИ И ИНТЕРВАЛЫ
+// ==========================================
+const FORECAST_SCENARIOS = [
+  { id: 'pessimistic', label: 'Пессимистичный', color: '#f87171', trendQuantile: 0.1, activityShift: -0.15 },
+  { id: 'base', label: 'Базовый', color: '#e2e8f0', trendQuantile: null, activityShift: 0 },
+  { id: 'optimistic', label: 'Оптимистичный', color: '#4ade80', trendQuantile: 0.9, activityShift: 0.15 },
+];
+
+function quantile(values, q) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function clampActivity(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+// Входные данные сценария: квантиль трендов ЖК группы и сдвиг активности рынка
+function scenarioInputs(scenario, trends, avgTrend, activity) {
+  return {
+    trend: scenario.trendQuantile === null ? avgTrend : quantile(trends, scenario.trendQuantile),
+    activity: clampActivity(activity + scenario.activityShift),
+  };
+}
+
+/**
+ * Прогноз группы ЖК по всем сценариям и интервал вокруг базового прогноза.
+ * Границы интервала — минимум и максимум прогноза по крайним сценариям.
+ */
+function forecastScenarios(model, basePrice, className, trends, avgTrend, activity, history = null, horizons = FORECAST_HORIZONS) {
+  const scenarios = FORECAST_SCENARIOS.map(scenario => {
+    const inputs = scenarioInputs(scenario, trends, avgTrend, activity);
+    return {
+      ...scenario,
+      ...inputs,
+      forecast: model.forecast(basePrice, className, inputs.trend, inputs.activity, horizons, history),
+    };
+  });
+
+  const base = scenarios.find(sc => sc.id === 'base');
+  const forecast = base.forecast.map((f, i) => {
+    const prices = scenarios.map(sc => sc.forecast[i].price);
+    return { ...f, lower: Math.min(...prices), upper: Math.max(...prices) };
+  });
+
+  return { forecast, scenarios };
+}
+
+// Индекс группы в ценах: последняя известная точка приравнивается текущей средней цене
+function historyLevels(history, current) {
+  const last = [...history].reverse().find(p => p.price);
+  return history.map(p => ({ t: p.t, price: p.price && last ? Math.round(current * p.price / last.price) : null }));
+}
+
+// Прогноз группы ЖК одного класса: весь класс или ячейка район × класс
+function forecastForClass(model, cls, stats) {
+  const { forecast, scenarios } = forecastScenarios(
+    model, stats.avg, cls, stats.jks.map(j => j.trend), stats.avgTrend, stats.activity.value, stats.history
+  );
+  return {
+    current: stats.avg,
+    count: stats.count,
+    trend: stats.avgTrend,
+    activity: stats.activity,
+    firedRules: model.firedRules ? model.firedRules(12, stats.activity.value) : [],
+    forecast,
+    scenarios,
+    past: historyLevels(stats.history, stats.avg),
+  };
+}
+
+/**
+ * Прогноз группы ЖК разных классов (район): прогнозы ячеек район × класс,
+ * каждая со своим коэффициентом класса, усредняются с весом по числу ЖК.
+ */
+function combineForecasts(model, parts, activity) {
+  const total = parts.reduce((a, p) => a + p.count, 0);
+  const weighted = (get) => parts.reduce((a, p) => a + get(p) * p.count, 0) / total;
+  const current = weighted(p => p.current);
+
+  const scenarios = parts[0].scenarios.map((sc, s) => ({
+    ...sc,
+    trend: weighted(p => p.scenarios[s].trend),
+    activity: weighted(p => p.scenarios[s].activity),
+    forecast: sc.forecast.map((f, i) => {
+      const price = weighted(p => p.scenarios[s].forecast[i].price);
+      return { months: f.months, price: Math.round(price), change: ((price / current - 1) * 100).toFixed(1) };
+    }),
+  }));
+
+  const base = scenarios.find(sc => sc.id === 'base');
+  const forecast = base.forecast.map((f, i) => {
+    const prices = scenarios.map(sc => sc.forecast[i].price);
+    return { ...f, lower: Math.min(...prices), upper: Math.max(...prices) };
+  });
+
+  return {
+    current: Math.round(current),
+    count: total,
+    trend: weighted(p => p.trend),
+    activity,
+    firedRules: model.firedRules ? model.firedRules(12, activity.value) : [],
+    forecast,
+    scenarios,
+    past: parts[0].past.map((point, i) => ({
+      t: point.t,
+      price: parts.every(p => p.past[i].price) ? Math.round(weighted(p => p.past[i].price)) : null,
+    })),
+  };
+}
+
+// ==========================================
+// ОБУЧЕНИЕ TSK
+// ==========================================
+// Решение системы линейных уравнений методом Гаусса
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+    }
+  }
+
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// Обучающие примеры: для каждой пары месяцев (i → j) фактическое изменение цены ЖК
+function buildTrainingSamples(allJK, columnsCount, holdoutMonths) {
+  const cutoff = columnsCount - holdoutMonths;
+  const train = [];
+  const holdout = [];
+
+  const activityByClass = {};
+  [...new Set(allJK.map(jk => jk.class))].forEach(cls => {
+    const jks = allJK.filter(jk => jk.class === cls);
+    activityByClass[cls] = Array.from({ length: columnsCount }, (_, i) => computeMarketActivity(jks, i).value);
+  });
+
+  allJK.forEach(jk => {
+    const { prices, priceIndices, priceMonths } = jk;
+    for (let i = 0; i < prices.length; i++) {
+      // Изменение цены за историю, известную на момент i (как тренд в FuzzyTSKModel.predict)
+      const trend = i > 0 ? (prices[i] - prices[0]) / prices[0] : 0;
+      for (let j = i + 1; j < prices.length; j++) {
+        const sample = {
+          months: priceMonths[j] - priceMonths[i],
+          activity: activityByClass[jk.class][priceIndices[i]],
+          trend,
+          className: jk.class,
+          change: prices[j] / prices[i] - 1,
+        };
+        if (priceIndices[j] >= cutoff) {
+          if (priceIndices[i] < cutoff) holdout.push(sample);
+        } else {
+          train.push(sample);
+        }
+      }
+    }
+  });
+
+  return { train, holdout };
+}
+
+function meanAbsoluteError(model, samples) {
+  if (samples.length === 0) return null;
+  const total = samples.reduce((sum, s) => (
+    sum + Math.abs(model.predict(s.months, s.activity, s.trend, s.className) - s.change)
+  ), 0);
+  return total / samples.length;
+}
+
+// Консеквенты правил методом наименьших квадратов (с регуляризацией к текущим значениям)
+function fitConsequents(model, samples, regularization) {
+  const n = model.rules.length;
+  const A = Array.from({ length: n }, () => Array(n).fill(0));
+  const b = Array(n).fill(0);
+  let used = 0;
+
+  samples.forEach(s => {
+    const weights = model.ruleWeights(s.months, s.activity);
+    const total = weights.reduce((a, w) => a + w, 0);
+    if (total === 0) return;
+
+    const phi = weights.map(w => w / total);
+    const target = s.change / model.getClassCoefficient(s.className) - s.trend * TREND_FACTOR;
+    for (let r = 0; r < n; r++) {
+      b[r] += phi[r] * target;
+      for (let c = 0; c < n; c++) A[r][c] += phi[r] * phi[c];
+    }
+    used++;
+  });
+
+  if (used === 0) return null;
+
+  const lambda = regularization * used;
+  model.rules.forEach((rule, r) => {
+    A[r][r] += lambda;
+    b[r] += lambda * rule.consequent;
+  });
+
+  return solveLinearSystem(A, b);
+}
+
+function meanSquaredError(model, samples) {
+  const total = samples.reduce((sum, s) => (
+    sum + Math.pow(model.predict(s.months, s.activity, s.trend, s.className) - s.change, 2)
+  ), 0);
+  return total / samples.length;
+}
+
+/**
+ * Обучение модели TSK на истории цен.
+ * Консеквенты подбираются МНК, центры и ширины функций принадлежности
+ * (по желанию) — градиентным спуском с численным градиентом.
+ */
+function trainTSKModel(allJK, columnsCount, options = {}) {
+  const {
+    holdoutMonths = 1,
+    tuneMemberships = false,
+    regularization = 0.05,
+    iterations = 30,
+    learningRate = 0.05,
+    baseParams = DEFAULT_TSK_PARAMS,
+  } = options;
+
+  const { train, holdout } = buildTrainingSamples(allJK, columnsCount, holdoutMonths);
+  if (train.length === 0) {
+    throw new Error('Недостаточно истории цен для обучения');
+  }
+
+  const baseline = new FuzzyTSKModel(baseParams);
+  const model = new FuzzyTSKModel(baseParams);
+
+  const applyConsequents = (m) => {
+    const fitted = fitConsequents(m, train, regularization);
+    if (fitted) fitted.forEach((c, i) => { m.rules[i].consequent = c; });
+  };
+
+  applyConsequents(model);
+
+  if (tuneMemberships) {
+    const handles = [];
+    ['timeParams', 'activityParams'].forEach(group => {
+      Object.keys(model[group]).forEach(term => {
+        ['center', 'sigma'].forEach(field => handles.push({ group, term, field }));
+      });
+    });
+    const minSigma = { timeParams: 0.5, activityParams: 0.05 };
+
+    let loss = meanSquaredError(model, train);
+    let step = learningRate;
+    for (let iter = 0; iter < iterations && step > 1e-4; iter++) {
+      const params = model.getParams();
+      const scales = handles.map(({ group, term, field }) => Math.max(Math.abs(params[group][term][field]), 1));
+      const grad = handles.map(({ group, term, field }, k) => {
+        const value = params[group][term][field];
+        const h = scales[k] * 1e-3;
+        const probe = (delta) => {
+          const p = cloneTSKParams(params);
+          p[group][term][field] = value + delta;
+          return meanSquaredError(new FuzzyTSKModel(p), train);
+        };
+        return (probe(h) - probe(-h)) / (2 * h) * scales[k];
+      });
+
+      const norm = Math.sqrt(grad.reduce((a, g) => a + g * g, 0));
+      if (norm < 1e-12) break;
+
+      const candidate = cloneTSKParams(params);
+      handles.forEach(({ group, term, field }, k) => {
+        let next = params[group][term][field] - step * scales[k] * grad[k] / norm;
+        if (field === 'sigma') next = Math.max(next, minSigma[group]);
+        candidate[group][term][field] = next;
+      });
+
+      const candidateModel = new FuzzyTSKModel(candidate);
+      applyConsequents(candidateModel);
+      const candidateLoss = meanSquaredError(candidateModel, train);
+      if (candidateLoss < loss) {
+        loss = candidateLoss;
+        Object.assign(model, candidateModel.getParams());
+      } else {
+        step /= 2;
+      }
+    }
+  }
+
+  return {
+    params: model.getParams(),
+    trainCount: train.length,
+    holdoutCount: holdout.length,
+    holdoutMonths,
+    tuneMemberships,
+    metrics: {
+      trainBefore: meanAbsoluteError(baseline, train),
+      trainAfter: meanAbsoluteError(model, train),
+      holdoutBefore: meanAbsoluteError(baseline, holdout),
+      holdoutAfter: meanAbsoluteError(model, holdout),
+    },
+    trainedAt: new Date().toLocaleString('ru-RU'),
+  };
+}
+
+// ==========================================
+// БЭКТЕСТ
+// ==========================================
+function priceAt(jk, columnIndex) {
+  const pos = jk.priceIndices.indexOf(columnIndex);
+  return pos === -1 ? null : jk.prices[pos];
+}
+
+// Помесячный ряд цен ЖК (с пропусками) до колонки length не включительно
+function jkHistory(jk, length = jk.priceIndices[jk.priceIndices.length - 1] + 1) {
+  return jk.prices
+    .map((price, k) => ({ t: jk.priceMonths[k], price }))
+    .filter((_, k) => jk.priceIndices[k] < length);
+}
+
+// Тренд ЖК в год по данным, доступным на момент cutoff
+function trendAt(jk, cutoff) {
+  const known = jk.prices.map((price, k) => ({ price, t: jk.priceMonths[k] })).filter((_, k) => jk.priceIndices[k] <= cutoff);
+  if (known.length < 2) return 0;
+  const first = known[0];
+  const last = known[known.length - 1];
+  return annualTrend(first.price, last.price, last.t - first.t);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function summarizeErrors(pairs) {
+  const errors = pairs.map(p => p.predicted - p.actual);
+  return {
+    count: pairs.length,
+    mae: average(errors.map(Math.abs)),
+    mape: average(pairs.map((p, i) => Math.abs(errors[i]) / p.actual)),
+    bias: average(pairs.map((p, i) => errors[i] / p.actual)),
+  };
+}
+
+/**
+ * Бэктест: для каждого месяца-отсечки строим прогноз только по данным до него
+ * и сравниваем с фактическими ценами последующих месяцев.
+ * Горизонт — месяцы между датами колонок. firstTarget — первая колонка, с которой
+ * сравниваем: у обученной модели это начало отложенной выборки, иначе ошибка внутривыборочная.
+ */
+function runBacktest(model, allJK, priceColumns, firstTarget = 1) {
+  const axis = priceTimeAxis(priceColumns);
+  const classes = [...new Set(allJK.map(jk => jk.class))];
+  const pairs = { class: {}, jk: {} };
+  const points = [];
+
+  const addPair = (level, cls, horizon, pair) => {
+    const key = `${cls}|${horizon}`;
+    if (!pairs[level][key]) pairs[level][key] = [];
+    pairs[level][key].push(pair);
+  };
+
+  for (let cutoff = 0; cutoff < priceColumns.length - 1; cutoff++) {
+    const targets = [];
+    for (let t = Math.max(cutoff + 1, firstTarget); t < priceColumns.length; t++) targets.push(t);
+    if (targets.length === 0) continue;
+    // Прогнозы возвращаются в порядке горизонтов, поэтому i-й прогноз сравниваем с колонкой targets[i]:
+    // горизонты могут совпадать, если у колонок одна дата
+    const horizons = targets.map(t => axis.months[t] - axis.months[cutoff]);
+
+    classes.forEach(cls => {
+      const jks = allJK.filter(jk => jk.class === cls && priceAt(jk, cutoff) !== null);
+      if (jks.length === 0) return;
+
+      // Уровень класса: средняя цена и средний тренд на момент отсечки
+      const base = average(jks.map(jk => priceAt(jk, cutoff)));
+      const trend = average(jks.map(jk => trendAt(jk, cutoff)));
+      const classJK = allJK.filter(jk => jk.class === cls);
+      const activity = computeMarketActivity(classJK, cutoff).value;
+      const history = timedHistory(chainIndex(classJK, cutoff + 1, cutoff, 'mean'), axis.months);
+      model.forecast(base, cls, trend, activity, horizons, history).forEach((f, i) => {
+        // Факт — по тем же ЖК, что и база: изменение их средней цены, перенесённое на базу.
+        // Иначе новые и выбывшие ЖК сдвигали бы «фактическую» среднюю
+        const target = targets[i];
+        const matched = jks.filter(jk => priceAt(jk, target) !== null);
+        if (matched.length === 0) return;
+        const actual = base * average(matched.map(jk => priceAt(jk, target))) / average(matched.map(jk => priceAt(jk, cutoff)));
+        addPair('class', cls, f.months, { predicted: f.price, actual });
+        points.push({ cls, horizon: f.months, t: axis.times[target], predicted: f.price, actual: Math.round(actual) });
+      });
+
+      // Уровень ЖК: прогноз по собственной цене и тренду
+      jks.forEach(jk => {
+        model.forecast(priceAt(jk, cutoff), cls, trendAt(jk, cutoff), activity, horizons, jkHistory(jk, cutoff + 1)).forEach((f, i) => {
+          const actual = priceAt(jk, targets[i]);
+          if (actual !== null) addPair('jk', cls, f.months, { predicted: f.price, actual });
+        });
+      });
+    });
+  }
+
+  const rows = [];
+  Object.entries(pairs).forEach(([level, byKey]) => {
+    Object.entries(byKey).forEach(([key, list]) => {
+      const [cls, horizon] = key.split('|');
+      rows.push({ level, cls, horizon: Number(horizon), ...summarizeErrors(list) });
+    });
+  });
+  rows.sort((a, b) => a.cls.localeCompare(b.cls) || a.horizon - b.horizon);
+
+  return { rows, points, horizons: [...new Set(rows.map(r => r.horizon))].sort((a, b) => a - b) };
+}
+
 // ==========================================
 // ПАРСЕР GOOGLE SHEETS
 // ==========================================
-function getSheetUrl() {
-  return `https://docs.google.com/spreadsheets/d/${GOOGLE_SHEETS_ID}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(SHEET_NAME)}`;
+function getSheetUrl(sheetId, sheetName) {
+  return `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(sheetName)}`;
+}
+
+// Ссылка на лист; с известным gid — сразу на строку row
+function getSheetEditUrl(sheetId, gid = '', row = null) {
+  const url = `https://docs.google.com/spreadsheets/d/${sheetId}/edit`;
+  if (!gid) return url;
+  return `${url}#gid=${gid}${row ? `&range=A${row}` : ''}`;
 }
 
 function parseGoogleSheetsResponse(text) {
@@ -129,9 +876,11 @@ function parseGoogleSheetsResponse(text) {
     
     const headers = data.table.cols.map(col => col.label || '');
     console.log('📊 Заголовки из таблицы:', headers);
+    // Google сам определяет число строк заголовка (их подписи склеиваются в label)
+    const headerRows = data.table.parsedNumHeaders ?? 1;
     
-    const rows = data.table.rows.map(row => {
-      const obj = {};
+    const rows = data.table.rows.map((row, i) => {
+      const obj = { [ROW_NUMBER_KEY]: i + headerRows + 1 };
       if (row.c) {
         row.c.forEach((cell, i) => {
           obj[headers[i]] = cell ? (cell.v !== null ? cell.v : '') : '';
@@ -140,8 +889,6 @@ function parseGoogleSheetsResponse(text) {
       return obj;
     }).filter(row => row[COLUMNS.name]);
     
-    console.log('📊 Загружено строк:', rows.length);
-    
     return { headers, rows };
   } catch (e) {
     console.error('Ошибка парсинга:', e);
@@ -150,60 +897,2180 @@ function parseGoogleSheetsResponse(text) {
 }
 
 // ==========================================
-// ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// ИСТОЧНИКИ ДАННЫХ
 // ==========================================
-function normalizeClass(cls) {
-  if (!cls) return null;
-  const lower = String(cls).toLowerCase().trim();
-  
-  // Строгая проверка - только точные совпадения
-  if (lower === 'комфорт') return 'Комфорт';
-  if (lower === 'бизнес') return 'Бизнес';
-  if (lower === 'премиум') return 'Премиум';
-  
-  // Проверка с вхождением (для случаев вроде "комфорт, бизнес")
-  if (lower.includes('премиум')) return 'Премиум';
-  if (lower.includes('бизнес')) return 'Бизнес';
-  if (lower.includes('комфорт')) return 'Комфорт';
-  
-  return null; // Неизвестный класс - пропускаем
+// Все источники приводят данные к виду { headers, rows }, где rows — объекты «колонка → значение»
+function matrixToDataset(matrix) {
+  const headerIndex = matrix.findIndex(row => row.some(cell => String(cell ?? '').trim() !== ''));
+  if (headerIndex === -1) return null;
+
+  const headers = matrix[headerIndex].map(h => String(h ?? '').trim());
+  const rows = matrix.slice(headerIndex + 1).map((row, i) => {
+    const obj = { [ROW_NUMBER_KEY]: i + 1 };
+    headers.forEach((h, i) => { obj[h] = row[i] ?? ''; });
+    return obj;
+  }).filter(row => row[COLUMNS.name]);
+
+  return { headers, rows };
 }
 
-function normalizeDistrict(d) {
-  if (!d) return null;
-  const lower = String(d).toLowerCase().trim();
-  if (lower.includes('мирзо')) return 'Мирзо-Улугбекский';
-  if (lower.includes('мирабад')) return 'Мирабадский';
-  if (lower.includes('яшнабад')) return 'Яшнабадский';
-  if (lower.includes('алмазар')) return 'Алмазарский';
-  if (lower.includes('яккасар')) return 'Яккасарийский';
-  return d;
+// Разбор CSV с автоопределением разделителя (",", ";" или табуляция)
+function parseCSV(text) {
+  const clean = text.replace(/^\uFEFF/, '');
+  const firstLine = clean.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, d) => (
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  ), ',');
+
+  const matrix = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (quoted) {
+      if (ch === '"' && clean[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && clean[i + 1] === '\n') i++;
+      row.push(cell);
+      matrix.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    matrix.push(row);
+  }
+
+  return matrix;
 }
 
-function parsePrice(val) {
-  if (val === null || val === undefined || val === '' || val === '-') return null;
-  if (typeof val === 'number') return val;
-  const num = parseFloat(String(val).replace(/[^\d.]/g, ''));
-  return isNaN(num) ? null : num;
+async function loadFromGoogleSheets({ sheetId, sheetName }) {
+  const response = await fetch(getSheetUrl(sheetId, sheetName));
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const text = await response.text();
+  const parsed = parseGoogleSheetsResponse(text);
+  if (!parsed) throw new Error('Не удалось распарсить данные');
+  return parsed;
 }
 
-function findPriceColumns(headers) {
-  return headers.filter(h => h && h.toLowerCase().startsWith('цена '));
+async function loadFromFile({ file }) {
+  if (!file) throw new Error('Файл не выбран');
+
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    const parsed = matrixToDataset(parseCSV(await file.text()));
+    if (!parsed) throw new Error('Файл CSV пуст');
+    return parsed;
+  }
+
+  const XLSX = await import('xlsx');
+  const book = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  // Лист с актуальными ценами, если он есть, иначе первый
+  const sheetName = book.SheetNames.includes(SHEET_NAME) ? SHEET_NAME : book.SheetNames[0];
+  const matrix = XLSX.utils.sheet_to_json(book.Sheets[sheetName], { header: 1, defval: '', raw: true });
+  const parsed = matrixToDataset(matrix);
+  if (!parsed) throw new Error(`Лист «${sheetName}» пуст`);
+  return parsed;
 }
 
-// ==========================================
-// СТИЛИ
-// ==========================================
-const styles = {
-  container: {
-    minHeight: '100vh',
-    backgroundColor: '#1f2d1fff',
-    color: '#e2e8f0',
-    padding: '24px',
-    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-    margin: 0,
-  },
-  maxWidth: {
+// JSON: { headers, rows } или массив объектов «колонка → значение»
+async function loadFromJSON({ url }) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const json = await response.json();
+  const rows = Array.isArray(json) ? json : json.rows;
+  if (!Array.isArray(rows)) throw new Error('Неверный формат JSON: ожидается массив rows');
+
+  const headers = json.headers || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return {
+    headers,
+    rows: rows.map((row, i) => ({ [ROW_NUMBER_KEY]: i + 1, ...row })).filter(row => row[COLUMNS.name]),
+  };
+}
+
+const DATA_SOURCES = {
+  sheets: { label: 'Google Sheets', load: loadFromGoogleSheets },
+  file: { label: 'Файл CSV/XLSX', load: loadFromFile },
+  json: { label: 'JSON-файл', load: loadFromJSON },
+};
+
+function describeDataSource(source) {
+  if (source.type === 'file') return `файл ${source.file?.name || ''}`.trim();
+  if (source.type === 'json') return `JSON ${source.url}`;
+  return `Google Sheets «${source.sheetName}»`;
+}
+
+const DATA_SOURCE_STORAGE_KEY = 'tashkent-forecast:data-source';
+
+function readStoredDataSource() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DATA_SOURCE_STORAGE_KEY));
+    // Загруженный файл не сохраняется между сессиями
+    if (stored && DATA_SOURCES[stored.type] && stored.type !== 'file') {
+      return { ...DEFAULT_DATA_SOURCE, ...stored };
+    }
+  } catch (e) {
+    console.warn('Не удалось прочитать настройки источника:', e);
+  }
+  return DEFAULT_DATA_SOURCE;
+}
+
+function storeDataSource(source) {
+  if (source.type === 'file') return;
+  const { file, ...config } = source;
+  localStorage.setItem(DATA_SOURCE_STORAGE_KEY, JSON.stringify(config));
+}
+
+// ==========================================
+// ОФЛАЙН-КЭШ
+// ==========================================
+// Последний успешно загруженный набор данных хранится в IndexedDB (или localStorage, если IndexedDB недоступен)
+const CACHE_DB_NAME = 'tashkent-forecast';
+const CACHE_STORE = 'datasets';
+const CACHE_KEY = 'latest';
+const CACHE_STORAGE_KEY = 'tashkent-forecast:dataset';
+const SNAPSHOT_STORE = 'snapshots';
+
+function openCacheDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB недоступен'));
+      return;
+    }
+    const request = indexedDB.open(CACHE_DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CACHE_STORE)) db.createObjectStore(CACHE_STORE);
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function cacheRequest(mode, run, storeName = CACHE_STORE) {
+  return openCacheDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  }));
+}
+
+// Идентификатор источника: кэш показывается только для того же источника
+function dataSourceKey(source) {
+  if (source.type === 'sheets') return `sheets:${source.sheetId}:${source.sheetName}`;
+  if (source.type === 'json') return `json:${source.url}`;
+  return null;
+}
+
+async function readCachedDataset() {
+  try {
+    return (await cacheRequest('readonly', store => store.get(CACHE_KEY))) || null;
+  } catch (e) {
+    try {
+      return JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY));
+    } catch (e2) {
+      console.warn('Не удалось прочитать кэш данных:', e2);
+      return null;
+    }
+  }
+}
+
+async function writeCachedDataset(entry) {
+  try {
+    await cacheRequest('readwrite', store => store.put(entry, CACHE_KEY));
+  } catch (e) {
+    try {
+      localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(entry));
+    } catch (e2) {
+      console.warn('Не удалось сохранить кэш данных:', e2);
+    }
+  }
+}
+
+// ==========================================
+// ИСТОРИЯ СНИМКОВ
+// ==========================================
+// Каждая успешная загрузка сохраняется как датированный снимок, если данные изменились
+const MAX_SNAPSHOTS = 60;
+const SNAPSHOT_STORAGE_KEY = 'tashkent-forecast:snapshots';
+const MAX_STORED_SNAPSHOTS = 10;
+
+// У файлов своя история по имени: повторная загрузка того же файла продолжает её
+function snapshotKey(source) {
+  return dataSourceKey(source) || `file:${source.file?.name || ''}`;
+}
+
+// Короткий хэш содержимого, чтобы не сохранять одинаковые снимки при каждом обновлении
+function hashDataset(data) {
+  const text = JSON.stringify([data.headers, data.rows]);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return (hash >>> 0).toString(16);
+}
+
+function readStoredSnapshots() {
+  try {
+    return JSON.parse(localStorage.getItem(SNAPSHOT_STORAGE_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function listSnapshots(key) {
+  let all;
+  try {
+    all = await cacheRequest('readonly', store => store.getAll(), SNAPSHOT_STORE);
+  } catch (e) {
+    all = readStoredSnapshots();
+  }
+  return all.filter(snap => snap.key === key).sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+}
+
+/**
+ * Сохранение снимка. Возвращает обновлённый список снимков источника (старые -> новые);
+ * сверх MAX_SNAPSHOTS удаляются самые старые.
+ */
+async function saveSnapshot(key, data, lastUpdate) {
+  const existing = await listSnapshots(key);
+  const hash = hashDataset(data);
+  if (existing.length > 0 && existing[existing.length - 1].hash === hash) return existing;
+
+  const savedAt = new Date().toISOString();
+  const snapshot = { id: `${key}|${savedAt}`, key, savedAt, lastUpdate, hash, data };
+  const expired = existing.slice(0, Math.max(existing.length + 1 - MAX_SNAPSHOTS, 0));
+
+  try {
+    await cacheRequest('readwrite', store => {
+      expired.forEach(snap => store.delete(snap.id));
+      return store.put(snapshot);
+    }, SNAPSHOT_STORE);
+  } catch (e) {
+    // В localStorage помещается немного: храним только последние снимки
+    const others = readStoredSnapshots().filter(snap => snap.key !== key);
+    const own = [...existing, snapshot].slice(-MAX_STORED_SNAPSHOTS);
+    try {
+      localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify([...others, ...own]));
+    } catch (e2) {
+      console.warn('Не удалось сохранить снимок данных:', e2);
+    }
+    return own;
+  }
+  return [...existing.filter(snap => !expired.includes(snap)), snapshot];
+}
+
+// ==========================================
+// ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ
+// ==========================================
+function normalizeClass(cls) {
+  if (!cls) return null;
+  const lower = String(cls).toLowerCase().trim();
+  
+  // Строгая проверка - только точные совпадения
+  if (lower === 'комфорт') return 'Комфорт';
+  if (lower === 'бизнес') return 'Бизнес';
+  if (lower === 'премиум') return 'Премиум';
+  
+  // Проверка с вхождением (для случаев вроде "комфорт, бизнес")
+  if (lower.includes('премиум')) return 'Премиум';
+  if (lower.includes('бизнес')) return 'Бизнес';
+  if (lower.includes('комфорт')) return 'Комфорт';
+  
+  return null; // Неизвестный класс - пропускаем
+}
+
+// "Mirzo Ulug'bek tumani" -> "mirzoulugbek": без регистра, ё, апострофов, слова «район» и разделителей
+function normalizeDistrictText(d) {
+  return String(d)
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/ў/g, 'у')
+    .replace(/қ/g, 'к')
+    .replace(/ғ/g, 'г')
+    .replace(/ҳ/g, 'х')
+    .replace(/(^|\s)(р-н|район|тумани|туман|tumani|tuman|district|г\.|город|ташкент|toshkent|tashkent)(?=\s|$|\.)/g, ' ')
+    .replace(/[\s\-'ʻ’`ʼ.,]+/g, '');
+}
+
+const DISTRICT_ALIASES = Object.entries(DISTRICTS)
+  .flatMap(([name, d]) => d.aliases.map(alias => ({ name, alias })))
+  // Более длинные варианты проверяются первыми, чтобы «мирзо» не перехватывало что-то точнее
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+function matchDistrict(d) {
+  if (!d) return null;
+  const text = normalizeDistrictText(d);
+  if (!text) return null;
+  const found = DISTRICT_ALIASES.find(({ alias }) => text.includes(alias));
+  return found ? found.name : null;
+}
+
+function normalizeDistrict(d) {
+  if (!d) return null;
+  return matchDistrict(d) || d;
+}
+
+function isEmptyCell(val) {
+  return val === null || val === undefined || val === '' || val === '-';
+}
+
+/**
+ * Разбор цены из ячейки: "1200", "1,200", "1 200 000 сум", "1.250,5", "12,5 млн".
+ * Если есть и запятая, и точка — последняя из них десятичная.
+ * Один разделитель перед ровно тремя цифрами или повторяющийся разделитель — разделитель тысяч.
+ * Минус перед числом сохраняется, чтобы отрицательное значение не приняли за положительное.
+ */
+function parsePrice(val) {
+  if (isEmptyCell(val)) return null;
+  if (typeof val === 'number') return isFinite(val) ? val : null;
+
+  const match = String(val).replace(/[\s\u00a0]/g, '').match(/([-−]?)(\d[\d.,]*)/);
+  if (!match) return null;
+
+  const sign = match[1] ? -1 : 1;
+  let num = match[2].replace(/[.,]$/, '');
+  const lastComma = num.lastIndexOf(',');
+  const lastDot = num.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    num = num.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const sep = lastComma !== -1 ? ',' : '.';
+    const parts = num.split(sep);
+    const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+    num = isThousands ? parts.join('') : parts.join('.');
+  }
+
+  const parsed = sign * parseFloat(num);
+  if (isNaN(parsed)) return null;
+
+  // Множители: "12,5 млн сум", "980 тыс"
+  const text = String(val).toLowerCase();
+  if (/млн|mln/.test(text)) return parsed * 1e6;
+  if (/тыс/.test(text)) return parsed * 1e3;
+  return parsed;
+}
+
+// Колонки цен по времени; если дата распознана не у всех — в порядке таблицы
+function findPriceColumns(headers) {
+  const columns = headers.filter(h => h && h.toLowerCase().startsWith('цена '));
+  const periods = columns.map(parsePricePeriod);
+  if (periods.some(p => !p)) return columns;
+  return columns
+    .map((col, i) => ({ col, month: periods[i].month }))
+    .sort((a, b) => a.month - b.month)
+    .map(c => c.col);
+}
+
+// Необязательная колонка числа квартир в ЖК — вес для взвешенного среднего
+function findUnitsColumn(headers) {
+  return headers.find(h => h && /^(кол(-во|ичество)?\.?\s*)?квартир|^units/i.test(h.trim())) || null;
+}
+
+// Необязательные колонки для модели цены ЖК
+function findCompletionColumn(headers) {
+  return headers.find(h => h && /^(срок\s*сдачи|год\s*сдачи|сдача|completion)/i.test(h.trim())) || null;
+}
+
+function findFloorsColumn(headers) {
+  return headers.find(h => h && /^(этажност|этажей|floors)/i.test(h.trim())) || null;
+}
+
+const ROMAN_QUARTERS = { I: 1, II: 2, III: 3, IV: 4 };
+
+// Срок сдачи как дробный год: «2025», «IV кв. 2025», «Q4 2025», «12.2025»
+function parseCompletion(value) {
+  if (isEmptyCell(value)) return null;
+  if (typeof value === 'number') return value > 1990 && value < 2100 ? value + 0.5 : null;
+  const text = String(value).toUpperCase();
+  const year = text.match(/(19|20)\d\d/);
+  if (!year) return null;
+  const y = Number(year[0]);
+
+  const quarter = text.match(/(?:^|[^A-Z0-9])(IV|III|II|I|[1-4])\s*(?:-?Й\s*)?(?:КВ|Q)/) || text.match(/Q\s*([1-4])/);
+  if (quarter) return y + ((ROMAN_QUARTERS[quarter[1]] || Number(quarter[1])) - 0.5) / 4;
+  const month = text.match(/(?:^|\D)(\d{1,2})[./-](?:19|20)\d\d/);
+  if (month && Number(month[1]) >= 1 && Number(month[1]) <= 12) return y + (Number(month[1]) - 0.5) / 12;
+  return y + 0.5;
+}
+
+// Этажность: «16», «9-16» -> наибольшее число
+function parseFloors(value) {
+  if (isEmptyCell(value)) return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const numbers = String(value).match(/\d+/g);
+  return numbers ? Math.max(...numbers.map(Number)) : null;
+}
+
+// Необязательные колонки координат: «Широта» + «Долгота» или одна «Координаты» вида "41.31, 69.28"
+function findCoordinateColumns(headers) {
+  const find = (re) => headers.find(h => h && re.test(h.trim())) || null;
+  return {
+    lat: find(/^(широта|lat)/i),
+    lon: find(/^(долгота|lon|lng)/i),
+    combined: find(/^координат/i),
+  };
+}
+
+function parseCoordinates(row, columns) {
+  let lat, lon;
+  if (columns.lat && columns.lon) {
+    lat = parseFloat(String(row[columns.lat] ?? '').replace(',', '.'));
+    lon = parseFloat(String(row[columns.lon] ?? '').replace(',', '.'));
+  } else if (columns.combined) {
+    [lat, lon] = String(row[columns.combined] ?? '').split(/[;,\s]+/).filter(Boolean).map(Number);
+  }
+  // Грубая проверка: точка должна быть в окрестностях Ташкента
+  if (!(lat > 40.5 && lat < 42 && lon > 68.5 && lon < 70)) return null;
+  return { lat, lon };
+}
+
+// ==========================================
+// ВАЛЮТЫ И ЕДИНИЦЫ
+// ==========================================
+// Внутри приложения цены хранятся в USD за м²; для отображения пересчитываются по курсу месяца
+const CURRENCIES = {
+  USD: { label: 'USD' },
+  UZS: { label: 'UZS (сум)' },
+};
+
+// Ориентировочный курс сума к доллару на начало месяца; актуальную таблицу можно загрузить из файла
+const DEFAULT_EXCHANGE_RATES = {
+  '2023-01': 11230,
+  '2023-04': 11400,
+  '2023-07': 11580,
+  '2023-10': 12230,
+  '2024-01': 12340,
+  '2024-04': 12630,
+  '2024-07': 12590,
+  '2024-10': 12780,
+  '2025-01': 12920,
+  '2025-04': 12940,
+  '2025-07': 12600,
+  '2025-10': 12100,
+};
+
+// Пороги для ячеек без явных единиц: выше — скорее цена за квартиру, чем за м²
+const TOTAL_PRICE_THRESHOLDS = { USD: 20000, UZS: 200e6 };
+// Ячейки без явной валюты. Сумы правдоподобны от UZS_MIN_M2 за м² (≈ $80/м²); числа между
+// порогом цены за м² в USD и UZS_MIN_M2 могут быть только ценой квартиры в USD.
+// До USD_MAX_TOTAL число одинаково похоже на USD за квартиру и на сумы за м² — такую ячейку не угадываем.
+const UZS_MIN_M2 = 1e6;
+const USD_MAX_TOTAL = 5e6;
+
+/**
+ * Валюта ячейки без явной валюты по величине числа и (если известна) единице.
+ * Возвращает { currency, issue }: issue — тип замечания для отчёта о качестве;
+ * при currency === null ячейка пропускается.
+ */
+function guessCurrency(amount, unit) {
+  if (unit === 'total') return { currency: amount <= USD_MAX_TOTAL ? 'USD' : 'UZS', issue: null };
+  if (amount < TOTAL_PRICE_THRESHOLDS.USD) return { currency: 'USD', issue: null };
+  if (unit === 'm2') return amount >= UZS_MIN_M2 ? { currency: 'UZS', issue: null } : { currency: null, issue: 'ambiguousCurrency' };
+  if (amount < UZS_MIN_M2) return { currency: 'USD', issue: 'guessedCurrency' };
+  if (amount <= USD_MAX_TOTAL) return { currency: null, issue: 'ambiguousCurrency' };
+  return { currency: 'UZS', issue: null };
+}
+
+// Основы названий месяцев; "ма" стоит после "мар", поэтому совпадает только с маем
+const MONTH_STEMS = ['янв', 'фев', 'мар', 'апр', 'ма', 'июн', 'июл', 'авг', 'сен', 'окт', 'ноя', 'дек'];
+
+const MONTH_LABELS = ['янв', 'фев', 'мар', 'апр', 'май', 'июн', 'июл', 'авг', 'сен', 'окт', 'ноя', 'дек'];
+const QUARTER_NUMBERS = { i: 1, ii: 2, iii: 3, iv: 4 };
+
+/**
+ * Период из подписи колонки: "янв 2024", "Январь 2024", "01.2024", "2024-01", "Q1 2024", "1 кв. 2024".
+ * Возвращает { month — номер месяца (год × 12 + месяц с 0), key "YYYY-MM", quarter } или null;
+ * квартал относится к своему среднему месяцу.
+ */
+function parsePricePeriod(label) {
+  const text = String(label || '').toLowerCase().replace('цена', '').trim();
+  const period = (year, monthIndex, quarter = null) => (
+    monthIndex >= 0 && monthIndex < 12
+      ? { month: Number(year) * 12 + monthIndex, key: `${year}-${String(monthIndex + 1).padStart(2, '0')}`, quarter }
+      : null
+  );
+
+  let match = text.match(/(\d{4})[-./](\d{1,2})(?!\d)/);
+  if (match) return period(match[1], Number(match[2]) - 1);
+  match = text.match(/(?:^|\D)(\d{1,2})[./](\d{4})/);
+  if (match) return period(match[2], Number(match[1]) - 1);
+
+  const year = text.match(/(\d{4})/);
+  if (!year) return null;
+  // «кв.м» в заголовке — единица цены, а не квартал
+  const quarter = text.match(/q\s*([1-4])(?!\d)/)
+    || text.match(/(?:^|[^a-zа-я0-9])(iv|iii|ii|i|[1-4])\s*(?:-?й\s*)?кв(?!\.?\s?м(?![а-я]))/);
+  if (quarter) {
+    const q = QUARTER_NUMBERS[quarter[1]] || Number(quarter[1]);
+    return period(year[1], q * 3 - 2, q);
+  }
+  const month = MONTH_STEMS.findIndex(m => text.includes(m));
+  if (month !== -1) return period(year[1], month);
+  return null;
+}
+
+// Ключ месяца "YYYY-MM" из подписи колонки
+function parseMonthKey(label) {
+  return parsePricePeriod(label)?.key ?? null;
+}
+
+function formatMonthNumber(month) {
+  const m = Math.round(month);
+  return `${MONTH_LABELS[((m % 12) + 12) % 12]} ${Math.floor(m / 12)}`;
+}
+
+/**
+ * Ось времени колонок цен. times — номера месяцев по датам в заголовках, months — месяцы
+ * от первой колонки. Если дата распознана не у всех колонок, шаг между колонками считается месячным.
+ */
+function priceTimeAxis(priceColumns) {
+  const periods = priceColumns.map(parsePricePeriod);
+  const dated = periods.length > 0 && periods.every(Boolean);
+  const times = dated ? periods.map(p => p.month) : priceColumns.map((_, i) => i);
+  const labels = priceColumns.map(col => col.replace('Цена ', ''));
+  const last = times[times.length - 1];
+  return {
+    dated,
+    times,
+    months: times.map(t => t - times[0]),
+    labels,
+    // Подпись точки графика: колонка таблицы, иначе календарный месяц (или «+N мес» без дат)
+    format: (t) => {
+      const i = times.indexOf(t);
+      if (i !== -1) return labels[i];
+      return dated ? formatMonthNumber(t) : `+${Math.round(t - last)} мес`;
+    },
+  };
+}
+
+// Курс на месяц: точный, иначе ближайший предыдущий, иначе ближайший следующий
+function rateFor(rates, monthKey) {
+  const keys = Object.keys(rates).sort();
+  if (keys.length === 0) return null;
+  if (!monthKey) return rates[keys[keys.length - 1]];
+  if (rates[monthKey]) return rates[monthKey];
+  const earlier = keys.filter(k => k <= monthKey);
+  return rates[earlier.length > 0 ? earlier[earlier.length - 1] : keys[0]];
+}
+
+// Валюта и единица из текста заголовка или ячейки
+function detectPriceMeta(text) {
+  const str = String(text ?? '').toLowerCase();
+  let currency = null;
+  if (/сум|sum|so['’]?m|uzs|млн/.test(str)) currency = 'UZS';
+  else if (/\$|usd|у\.?\s?е|долл/.test(str)) currency = 'USD';
+
+  let unit = null;
+  if (/м²|м2|кв\.?\s?м|\/\s?м|m2|sqm/.test(str)) unit = 'm2';
+  else if (/за\s*кв(артиру)?\b|квартир|объект|total/.test(str)) unit = 'total';
+
+  return { currency, unit };
+}
+
+function findAreaColumn(headers) {
+  return headers.find(h => h && /^площадь/i.test(h.trim())) || null;
+}
+
+/**
+ * Цена ячейки в USD за м². Валюта и единица берутся из ячейки, затем из заголовка колонки,
+ * затем угадываются по величине числа. Цена за квартиру делится на площадь, если она известна.
+ * problem — ячейка пропущена, warning — цена принята, но валюта угадана.
+ */
+function normalizePriceCell(value, columnMeta, area) {
+  const amount = parsePrice(value);
+  if (amount === null) return { price: null };
+  if (amount <= 0) return { price: null, problem: 'nonPositivePrice' };
+
+  const cellMeta = typeof value === 'number' ? { currency: null, unit: null } : detectPriceMeta(value);
+  const knownUnit = cellMeta.unit || columnMeta.unit;
+  let currency = cellMeta.currency || columnMeta.currency;
+  let warning = null;
+  if (!currency) {
+    const guess = guessCurrency(amount, knownUnit);
+    if (!guess.currency) return { price: null, problem: guess.issue };
+    currency = guess.currency;
+    warning = guess.issue;
+  }
+  const unit = knownUnit || (amount >= TOTAL_PRICE_THRESHOLDS[currency] ? 'total' : 'm2');
+
+  let price = currency === 'UZS' ? amount / columnMeta.rate : amount;
+  if (unit === 'total') {
+    if (!area) return { price: null, problem: 'unitMismatch', currency, unit };
+    price /= area;
+  }
+
+  return { price: Math.round(price * 100) / 100, currency, unit, warning };
+}
+
+/**
+ * Перевод набора ЖК в валюту отображения: каждая цена — по курсу своего месяца,
+ * поэтому тренды в сумах учитывают и движение курса.
+ */
+function convertDataset(dataset, currency, rates) {
+  if (currency === 'USD' || dataset.fatal) return { ...dataset, currency: 'USD' };
+
+  const monthRates = dataset.priceColumns.map(col => rateFor(rates, parseMonthKey(col)));
+  const allJK = dataset.allJK.map(jk => withPrices(jk, jk.prices.map((p, k) => Math.round(p * monthRates[jk.priceIndices[k]]))));
+  return { ...dataset, allJK, currency };
+}
+
+function formatMoney(value, currency = 'USD') {
+  if (value === null || value === undefined || isNaN(value)) return '—';
+  const rounded = Math.round(value);
+  return currency === 'UZS' ? `${rounded.toLocaleString('ru-RU')} сум` : `$${rounded.toLocaleString()}`;
+}
+
+// Краткая запись для осей графиков
+function formatMoneyShort(value, currency = 'USD') {
+  if (currency === 'UZS') return `${(value / 1e6).toLocaleString('ru-RU', { maximumFractionDigits: 1 })} млн`;
+  return `$${value}`;
+}
+
+const CurrencyContext = createContext('USD');
+
+function useMoney() {
+  const currency = useContext(CurrencyContext);
+  return {
+    currency,
+    money: (value) => formatMoney(value, currency),
+    moneyShort: (value) => formatMoneyShort(value, currency),
+  };
+}
+
+const EXCHANGE_RATES_STORAGE_KEY = 'tashkent-forecast:exchange-rates';
+const CURRENCY_STORAGE_KEY = 'tashkent-forecast:currency';
+
+function readStoredRates() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(EXCHANGE_RATES_STORAGE_KEY));
+    if (stored && Object.keys(stored).length > 0) return stored;
+  } catch (e) {
+    console.warn('Не удалось прочитать курсы валют:', e);
+  }
+  return DEFAULT_EXCHANGE_RATES;
+}
+
+// Таблица курсов из файла: JSON { "2024-01": 12340 } или CSV "месяц;курс"
+async function parseRatesFile(file) {
+  const text = await file.text();
+  const rates = {};
+  if (file.name.toLowerCase().endsWith('.json')) {
+    Object.entries(JSON.parse(text)).forEach(([month, rate]) => {
+      const key = parseMonthKey(month);
+      if (key && Number(rate) > 0) rates[key] = Number(rate);
+    });
+  } else {
+    parseCSV(text).forEach(([month, rate]) => {
+      const key = parseMonthKey(month);
+      const value = parsePrice(rate);
+      if (key && value > 0) rates[key] = value;
+    });
+  }
+  if (Object.keys(rates).length === 0) throw new Error('В файле не найдено ни одного курса');
+  return rates;
+}
+
+// ==========================================
+// РАЗБОР И ПРОВЕРКА ДАННЫХ
+// ==========================================
+const QUALITY_THRESHOLDS = {
+  monthlyJump: 0.2,   // изменение цены за месяц, после которого строка помечается
+  outlierIQR: 3,      // выброс: дальше 3 межквартильных размахов от квартилей класса
+};
+
+const ISSUE_TYPES = {
+  missingColumn: { label: 'Нет колонки', severity: 'error' },
+  unknownClass: { label: 'Неизвестный класс', severity: 'error' },
+  unknownDistrict: { label: 'Нераспознанный район', severity: 'warning' },
+  missingDistrict: { label: 'Не указан район', severity: 'warning' },
+  badPrice: { label: 'Нечитаемая цена', severity: 'error' },
+  nonPositivePrice: { label: 'Нулевая или отрицательная цена', severity: 'error' },
+  noPrices: { label: 'Нет ни одной цены', severity: 'error' },
+  outlier: { label: 'Выброс цены', severity: 'warning' },
+  priceJump: { label: 'Скачок цены', severity: 'warning' },
+  duplicate: { label: 'Повтор ЖК', severity: 'warning' },
+  unitMismatch: { label: 'Цена за квартиру без площади', severity: 'error' },
+  ambiguousCurrency: { label: 'Неясная валюта цены', severity: 'error' },
+  guessedCurrency: { label: 'Валюта угадана по величине', severity: 'warning' },
+  undatedColumn: { label: 'Колонка цены без даты', severity: 'warning' },
+};
+
+// Тренд в год: изменение цены за время между точками, пересчитанное на 12 месяцев (без сложного процента)
+function annualTrend(first, last, elapsedMonths) {
+  return elapsedMonths > 0 ? (last - first) / first * 12 / elapsedMonths : 0;
+}
+
+// Объект ЖК с пересчитанными производными полями для нового ряда цен
+function withPrices(jk, prices) {
+  const firstPrice = prices[0];
+  const lastPrice = prices[prices.length - 1];
+  const elapsed = jk.priceMonths[jk.priceMonths.length - 1] - jk.priceMonths[0];
+  const trend = prices.length > 1 ? annualTrend(firstPrice, lastPrice, elapsed) : 0;
+  return { ...jk, prices, firstPrice, lastPrice, trend, trendPercent: (trend * 100).toFixed(1) };
+}
+
+// Уникальные нераспознанные названия районов с числом и номерами строк
+function summarizeUnmatchedDistricts(issues) {
+  const byValue = {};
+  issues.filter(i => i.type === 'unknownDistrict').forEach(issue => {
+    const value = String(issue.value).trim();
+    if (!byValue[value]) byValue[value] = { value, count: 0, rows: [] };
+    byValue[value].count++;
+    if (issue.row !== null) byValue[value].rows.push(issue.row);
+  });
+  return Object.values(byValue).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Разбор строк таблицы в объекты ЖК с проверкой качества.
+ * Проблемные строки не теряются молча: каждая проблема попадает в issues
+ * с номером строки исходной таблицы.
+ */
+function parseDataset(data, rates = DEFAULT_EXCHANGE_RATES) {
+  const { headers, rows } = data;
+  const priceColumns = findPriceColumns(headers);
+  const areaColumn = findAreaColumn(headers);
+  const coordinateColumns = findCoordinateColumns(headers);
+  const unitsColumn = findUnitsColumn(headers);
+  const completionColumn = findCompletionColumn(headers);
+  const floorsColumn = findFloorsColumn(headers);
+  const timeAxis = priceTimeAxis(priceColumns);
+  const columnMeta = priceColumns.map(col => ({
+    ...detectPriceMeta(col),
+    rate: rateFor(rates, parseMonthKey(col)),
+  }));
+  const issues = [];
+  const addIssue = (type, row, details = {}) => issues.push({
+    type,
+    ...ISSUE_TYPES[type],
+    row: row ? row[ROW_NUMBER_KEY] ?? null : null,
+    name: row ? row[COLUMNS.name] : null,
+    ...details,
+  });
+
+  console.log('🔍 Колонки с ценами:', priceColumns);
+
+  Object.values(COLUMNS).forEach(column => {
+    if (!headers.includes(column)) addIssue('missingColumn', null, { column, message: `В таблице нет колонки «${column}»` });
+  });
+
+  if (priceColumns.length > 0 && !timeAxis.dated) {
+    priceColumns.filter(col => !parsePricePeriod(col)).forEach(column => addIssue('undatedColumn', null, {
+      column,
+      message: 'Дата не распознана: колонки идут в порядке таблицы, шаг считается месячным',
+    }));
+  }
+
+  if (priceColumns.length === 0) {
+    console.error('❌ Не найдены колонки с ценами!');
+    addIssue('missingColumn', null, { column: 'Цена …', message: 'Не найдены колонки с ценами (заголовки вида «Цена …»)' });
+    return { allJK: [], priceColumns, issues, classes: [], districts: [], fatal: 'Не найдены колонки с ценами' };
+  }
+
+  const allJK = [];
+  const seen = {};
+
+  rows.forEach(row => {
+    const name = row[COLUMNS.name];
+    const classRaw = row[COLUMNS.class];
+    const districtRaw = row[COLUMNS.district];
+    
+    if (!name) return;
+
+    const key = String(name).toLowerCase().trim();
+    if (seen[key]) {
+      addIssue('duplicate', row, { message: `Повторяет № ${seen[key][ROW_NUMBER_KEY] ?? '?'}` });
+    } else {
+      seen[key] = row;
+    }
+    
+    const cls = normalizeClass(classRaw);
+    if (!cls) {
+      console.log(`⚠️ Пропущен ${name}: неизвестный класс "${classRaw}"`);
+      addIssue('unknownClass', row, { column: COLUMNS.class, value: classRaw, message: 'Строка пропущена' });
+      return;
+    }
+    
+    if (isEmptyCell(districtRaw)) {
+      addIssue('missingDistrict', row, { column: COLUMNS.district });
+    } else if (!matchDistrict(districtRaw)) {
+      addIssue('unknownDistrict', row, { column: COLUMNS.district, value: districtRaw, message: 'Используется как есть' });
+    }
+    const district = normalizeDistrict(districtRaw);
+    const developer = row[COLUMNS.developer] ? String(row[COLUMNS.developer]).trim() : null;
+    
+    const areaValue = areaColumn ? parsePrice(row[areaColumn]) : null;
+    const area = areaValue > 0 ? areaValue : null;
+    const areaMessage = !areaColumn ? 'В таблице нет колонки площади'
+      : isEmptyCell(row[areaColumn]) ? `Не заполнена «${areaColumn}»`
+        : `Не распознана «${areaColumn}»: ${row[areaColumn]}`;
+    const prices = priceColumns
+      .map((col, index) => {
+        const { price, problem, warning } = normalizePriceCell(row[col], columnMeta[index], area);
+        if (problem === 'ambiguousCurrency') {
+          addIssue(problem, row, { column: col, value: row[col], message: 'Не указана валюта: число подходит и под USD за квартиру, и под сумы за м². Ячейка пропущена' });
+        } else if (problem === 'nonPositivePrice') {
+          addIssue(problem, row, { column: col, value: row[col], message: 'Ячейка пропущена' });
+        } else if (problem) {
+          addIssue(problem, row, { column: col, value: row[col], message: areaMessage });
+        } else if (warning) {
+          addIssue(warning, row, { column: col, value: row[col], message: 'Не указана валюта: принято за USD за квартиру' });
+        } else if (price === null && !isEmptyCell(row[col]) && parsePrice(row[col]) === null) {
+          addIssue('badPrice', row, { column: col, value: row[col] });
+        }
+        return { col, index, price };
+      })
+      .filter(p => p.price !== null && p.price > 0);
+    
+    if (prices.length === 0) {
+      addIssue('noPrices', row, { message: 'Строка пропущена' });
+      return;
+    }
+
+    for (let k = 1; k < prices.length; k++) {
+      const change = prices[k].price / prices[k - 1].price - 1;
+      if (Math.abs(change) > QUALITY_THRESHOLDS.monthlyJump) {
+        addIssue('priceJump', row, {
+          column: prices[k].col,
+          value: prices[k].price,
+          message: `${formatSignedPercent(change)} к «${prices[k - 1].col}»`,
+        });
+      }
+    }
+    
+    // Логируем все ЖК
+    console.log(`📋 ${name}: класс="${classRaw}" -> ${cls}, цена=${prices[prices.length - 1].price}`);
+
+    allJK.push(withPrices({
+      name,
+      row: row[ROW_NUMBER_KEY] ?? null,
+      class: cls,
+      district,
+      developer,
+      coords: parseCoordinates(row, coordinateColumns),
+      units: unitsColumn ? parsePrice(row[unitsColumn]) : null,
+      completion: completionColumn ? parseCompletion(row[completionColumn]) : null,
+      completionLabel: completionColumn && !isEmptyCell(row[completionColumn]) ? String(row[completionColumn]).trim() : null,
+      floors: floorsColumn ? parseFloors(row[floorsColumn]) : null,
+      priceIndices: prices.map(p => p.index),
+      priceLabels: prices.map(p => p.col.replace('Цена ', '')),
+      priceMonths: prices.map(p => timeAxis.months[p.index]),
+    }, prices.map(p => p.price)));
+  });
+
+  // Выбросы последней цены внутри класса
+  [...new Set(allJK.map(jk => jk.class))].forEach(cls => {
+    const jks = allJK.filter(jk => jk.class === cls);
+    if (jks.length < 4) return;
+    const lastPrices = jks.map(jk => jk.lastPrice);
+    const q1 = quantile(lastPrices, 0.25);
+    const q3 = quantile(lastPrices, 0.75);
+    const iqr = q3 - q1;
+    jks.forEach(jk => {
+      if (jk.lastPrice < q1 - QUALITY_THRESHOLDS.outlierIQR * iqr || jk.lastPrice > q3 + QUALITY_THRESHOLDS.outlierIQR * iqr) {
+        issues.push({
+          type: 'outlier',
+          ...ISSUE_TYPES.outlier,
+          row: jk.row,
+          name: jk.name,
+          value: jk.lastPrice,
+          message: `Класс «${cls}»: типичный диапазон ${formatMoney(q1)} – ${formatMoney(q3)} за м²`,
+        });
+      }
+    });
+  });
+
+  issues.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+  const unmatchedDistricts = summarizeUnmatchedDistricts(issues);
+
+  return {
+    allJK,
+    priceColumns,
+    columnMeta,
+    areaColumn,
+    issues,
+    classes: [...new Set(allJK.map(jk => jk.class))],
+    districts: [...new Set(allJK.map(jk => jk.district).filter(Boolean))].sort(),
+    unmatchedDistricts,
+    fatal: null,
+  };
+}
+
+// ==========================================
+// АНАЛИЗ
+// ==========================================
+const AGGREGATIONS = {
+  mean: { label: 'Среднее' },
+  median: { label: 'Медиана' },
+  trimmed: { label: 'Усечённое среднее' },
+  weighted: { label: 'Среднее по квартирам' },
+};
+
+const DEFAULT_AGGREGATION = { method: 'mean', constantPanel: false };
+
+const AGGREGATION_STORAGE_KEY = 'tashkent-forecast:aggregation';
+
+function readStoredAggregation() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AGGREGATION_STORAGE_KEY));
+    if (stored && AGGREGATIONS[stored.method]) return { ...DEFAULT_AGGREGATION, ...stored };
+  } catch (e) {
+    console.warn('Не удалось прочитать настройки усреднения:', e);
+  }
+  return DEFAULT_AGGREGATION;
+}
+
+// Доля ЖК, отбрасываемая с каждой стороны в усечённом среднем
+const TRIM_SHARE = 0.1;
+
+/**
+ * Сводная цена группы ЖК выбранным способом. Для взвешенного среднего ЖК без числа
+ * квартир получают средний вес по группе; если веса не известны ни у кого — обычное среднее.
+ */
+function aggregatePrices(jks, getPrice, method = 'mean') {
+  const items = jks
+    .map(jk => ({ price: getPrice(jk), units: jk.units }))
+    .filter(item => item.price !== null && item.price !== undefined);
+  if (items.length === 0) return null;
+  const prices = items.map(item => item.price);
+
+  if (method === 'median') return quantile(prices, 0.5);
+
+  if (method === 'trimmed') {
+    const cut = Math.floor(prices.length * TRIM_SHARE);
+    const sorted = [...prices].sort((a, b) => a - b);
+    return average(sorted.slice(cut, sorted.length - cut));
+  }
+
+  if (method === 'weighted') {
+    const known = items.map(item => item.units).filter(u => u > 0);
+    if (known.length === 0) return average(prices);
+    const fallback = average(known);
+    const weights = items.map(item => (item.units > 0 ? item.units : fallback));
+    const total = weights.reduce((a, b) => a + b, 0);
+    return items.reduce((a, item, i) => a + item.price * weights[i], 0) / total;
+  }
+
+  return average(prices);
+}
+
+// Постоянная выборка: ЖК с ценой в каждом месяце
+function constantPanel(jks, columnsCount) {
+  return jks.filter(jk => jk.prices.length === columnsCount);
+}
+
+/**
+ * Статистика по классам и районам и сводные цены по месяцам для набора ЖК.
+ * aggregation.method задаёт способ свёртки цен, aggregation.constantPanel —
+ * строить динамику только по ЖК, присутствующим во всех месяцах.
+ */
+function buildAnalysis(allJK, priceColumns, aggregation = DEFAULT_AGGREGATION) {
+  const summarize = (jks, getPrice = jk => jk.lastPrice) => Math.round(aggregatePrices(jks, getPrice, aggregation.method));
+  // Ряд группы для моделей по истории — цепной индекс, не зависящий от состава выборки
+  const timeAxis = priceTimeAxis(priceColumns);
+  const groupHistory = (jks) => timedHistory(
+    chainIndex(jks, priceColumns.length, priceColumns.length - 1, aggregation.method), timeAxis.months
+  );
+  const byClass = {};
+  const byDistrict = {};
+
+  allJK.forEach(jk => {
+    if (!byClass[jk.class]) byClass[jk.class] = [];
+    byClass[jk.class].push(jk);
+
+    if (jk.district) {
+      if (!byDistrict[jk.district]) byDistrict[jk.district] = [];
+      byDistrict[jk.district].push(jk);
+    }
+  });
+
+  // Логируем количество по классам
+  console.log('📊 Итого по классам:');
+  Object.entries(byClass).forEach(([cls, jks]) => {
+    console.log(`   ${cls}: ${jks.length} ЖК ->`, jks.map(j => j.name));
+  });
+
+  const classStats = {};
+  Object.entries(byClass).forEach(([cls, jks]) => {
+    const lastPrices = jks.map(j => j.lastPrice);
+    const avg = summarize(jks);
+    const min = Math.min(...lastPrices);
+    const max = Math.max(...lastPrices);
+    const avgTrend = jks.reduce((a, j) => a + j.trend, 0) / jks.length;
+    
+    const activity = computeMarketActivity(jks, priceColumns.length - 1);
+    
+    classStats[cls] = { count: jks.length, avg, min, max, avgTrend, activity, jks, history: groupHistory(jks) };
+  });
+
+  const districtStats = {};
+  Object.entries(byDistrict).forEach(([d, jks]) => {
+    const avg = summarize(jks);
+    const activity = computeMarketActivity(jks, priceColumns.length - 1);
+    districtStats[d] = { count: jks.length, avg, activity, jks };
+  });
+
+  // Район × класс: те же показатели для каждой непустой ячейки
+  const crossStats = {};
+  Object.entries(byDistrict).forEach(([d, jks]) => {
+    crossStats[d] = {};
+    [...new Set(jks.map(jk => jk.class))].forEach(cls => {
+      const cell = jks.filter(jk => jk.class === cls);
+      crossStats[d][cls] = {
+        count: cell.length,
+        avg: summarize(cell),
+        avgTrend: average(cell.map(j => j.trend)),
+        activity: computeMarketActivity(cell, priceColumns.length - 1),
+        jks: cell,
+        history: groupHistory(cell),
+      };
+    });
+  });
+
+  const historyGroups = Object.fromEntries(Object.entries(byClass).map(([cls, jks]) => [
+    cls,
+    aggregation.constantPanel ? constantPanel(jks, priceColumns.length) : jks,
+  ]));
+
+  const priceHistory = priceColumns.map((col, index) => {
+    const month = col.replace('Цена ', '');
+    const point = { month, t: timeAxis.times[index] };
+    
+    Object.entries(historyGroups).forEach(([cls, jks]) => {
+      const value = aggregatePrices(jks, jk => priceAt(jk, index), aggregation.method);
+      if (value !== null) {
+        point[cls] = Math.round(value);
+      }
+    });
+    
+    return point;
+  });
+
+  // Размер выборки динамики по классам — для подписи в режиме постоянной выборки
+  const historyCounts = Object.fromEntries(Object.entries(historyGroups).map(([cls, jks]) => [cls, jks.length]));
+
+  const developerStats = buildDeveloperStats(allJK, priceColumns);
+
+  return { classStats, districtStats, crossStats, developerStats, allJK, priceColumns, timeAxis, priceHistory, historyCounts, aggregation };
+}
+
+/**
+ * Статистика по застройщикам: число проектов, средняя цена и тренд,
+ * состав по классам и средняя цена по месяцам.
+ */
+function buildDeveloperStats(allJK, priceColumns) {
+  const byDeveloper = {};
+  allJK.forEach(jk => {
+    if (!jk.developer) return;
+    if (!byDeveloper[jk.developer]) byDeveloper[jk.developer] = [];
+    byDeveloper[jk.developer].push(jk);
+  });
+
+  const developerStats = {};
+  Object.entries(byDeveloper).forEach(([developer, jks]) => {
+    const avg = Math.round(jks.reduce((a, j) => a + j.lastPrice, 0) / jks.length);
+    const avgTrend = jks.reduce((a, j) => a + j.trend, 0) / jks.length;
+    const classMix = {};
+    jks.forEach(j => { classMix[j.class] = (classMix[j.class] || 0) + 1; });
+    const history = priceColumns.map((_, index) => {
+      const prices = jks.map(jk => priceAt(jk, index)).filter(p => p !== null);
+      return prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : null;
+    });
+
+    developerStats[developer] = { count: jks.length, avg, avgTrend, classMix, history, jks };
+  });
+
+  return developerStats;
+}
+
+// ==========================================
+// ИЗМЕНЕНИЯ МЕЖДУ СНИМКАМИ
+// ==========================================
+const CHANGE_TYPES = {
+  added: { label: 'Новый ЖК', color: '#4ade80' },
+  removed: { label: 'ЖК удалён', color: '#f87171' },
+  price: { label: 'Изменение цены', color: '#60a5fa' },
+  revision: { label: 'Исправлена история цен', color: '#a78bfa' },
+  class: { label: 'Изменён класс', color: '#fbbf24' },
+  district: { label: 'Изменён район', color: '#fbbf24' },
+  developer: { label: 'Изменён застройщик', color: '#fbbf24' },
+};
+
+// Изменения цены меньше этой величины (в валюте отображения за м²) считаются округлением
+const PRICE_CHANGE_EPSILON = 0.5;
+
+/**
+ * Сравнение двух разобранных наборов данных. ЖК сопоставляются по названию.
+ * Изменение последней цены — «price»; правка цены за месяц, который был и раньше, — «revision».
+ */
+function diffDatasets(before, after) {
+  const keyOf = (jk) => jk.name.toLowerCase().trim();
+  const beforeByName = new Map(before.allJK.map(jk => [keyOf(jk), jk]));
+  const afterByName = new Map(after.allJK.map(jk => [keyOf(jk), jk]));
+  const changes = [];
+  const add = (type, jk, details = {}) => changes.push({ type, ...CHANGE_TYPES[type], name: jk.name, jk, ...details });
+
+  after.allJK.forEach(jk => {
+    const old = beforeByName.get(keyOf(jk));
+    if (!old) {
+      add('added', jk, { to: jk.lastPrice });
+      return;
+    }
+    ['class', 'district', 'developer'].forEach(field => {
+      if ((old[field] || null) !== (jk[field] || null)) add(field, jk, { from: old[field], to: jk[field] });
+    });
+
+    if (Math.abs(jk.lastPrice - old.lastPrice) >= PRICE_CHANGE_EPSILON) {
+      add('price', jk, {
+        from: old.lastPrice,
+        to: jk.lastPrice,
+        delta: jk.lastPrice - old.lastPrice,
+        change: jk.lastPrice / old.lastPrice - 1,
+      });
+    }
+
+    const oldPrices = Object.fromEntries(old.priceLabels.map((label, i) => [label, old.prices[i]]));
+    jk.priceLabels.forEach((label, i) => {
+      const was = oldPrices[label];
+      if (was !== undefined && Math.abs(jk.prices[i] - was) >= PRICE_CHANGE_EPSILON && i < jk.prices.length - 1) {
+        add('revision', jk, { column: label, from: was, to: jk.prices[i], delta: jk.prices[i] - was, change: jk.prices[i] / was - 1 });
+      }
+    });
+  });
+
+  before.allJK.forEach(jk => {
+    if (!afterByName.has(keyOf(jk))) add('removed', jk, { from: jk.lastPrice });
+  });
+
+  return {
+    changes,
+    addedColumns: after.priceColumns.filter(col => !before.priceColumns.includes(col)),
+    removedColumns: before.priceColumns.filter(col => !after.priceColumns.includes(col)),
+  };
+}
+
+// ==========================================
+// СПИСОК НАБЛЮДЕНИЯ
+// ==========================================
+const WATCHLIST_STORAGE_KEY = 'tashkent-forecast:watchlist';
+const ALERTS_STORAGE_KEY = 'tashkent-forecast:alerts';
+const MAX_ALERTS = 200;
+// Горизонт прогноза, по которому проверяются пороги уровня цены
+const WATCH_FORECAST_HORIZON = 12;
+
+const WATCH_KINDS = {
+  jk: { label: 'ЖК' },
+  class: { label: 'Класс' },
+  district: { label: 'Район' },
+};
+
+const WATCH_CONDITIONS = {
+  priceUp: { label: 'Цена выросла больше чем на', unit: '%', kinds: ['jk', 'class', 'district'] },
+  priceDown: { label: 'Цена снизилась больше чем на', unit: '%', kinds: ['jk', 'class', 'district'] },
+  forecastAbove: { label: 'Прогноз на 12 мес поднялся выше', unit: 'money', kinds: ['jk', 'class', 'district'] },
+  forecastBelow: { label: 'Прогноз на 12 мес опустился ниже', unit: 'money', kinds: ['jk', 'class', 'district'] },
+  removed: { label: 'ЖК пропал из таблицы', unit: null, kinds: ['jk'] },
+};
+
+function readStoredList(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Текущее состояние объекта наблюдения: { present, price, forecast }.
+ * Для класса и района — средняя цена и прогноз группы, как на вкладке «Прогноз».
+ */
+function watchState(watch, analysis, model) {
+  const horizon = (forecast) => forecast.find(f => f.months === WATCH_FORECAST_HORIZON).price;
+
+  if (watch.kind === 'jk') {
+    const jk = analysis.allJK.find(j => j.name.toLowerCase() === watch.target.toLowerCase());
+    if (!jk) return { present: false, price: null, forecast: null };
+    const activity = analysis.classStats[jk.class].activity.value;
+    const forecast = model.forecast(jk.lastPrice, jk.class, jk.trend, activity, FORECAST_HORIZONS, jkHistory(jk));
+    return { present: true, price: jk.lastPrice, forecast: horizon(forecast) };
+  }
+
+  if (watch.kind === 'class') {
+    const stats = analysis.classStats[watch.target];
+    if (!stats) return { present: false, price: null, forecast: null };
+    return { present: true, price: stats.avg, forecast: horizon(forecastForClass(model, watch.target, stats).forecast) };
+  }
+
+  const cells = analysis.crossStats[watch.target];
+  if (!cells) return { present: false, price: null, forecast: null };
+  const parts = Object.entries(cells).map(([cls, stats]) => forecastForClass(model, cls, stats));
+  const combined = combineForecasts(model, parts, analysis.districtStats[watch.target].activity);
+  return { present: true, price: analysis.districtStats[watch.target].avg, forecast: horizon(combined.forecast) };
+}
+
+// Текст срабатывания или null. Изменение цены считается от базы — цены на момент
+// добавления или последнего срабатывания, пересечение уровня — от прошлой проверки.
+function checkWatch(watch, state) {
+  const { baseline, last, threshold } = watch;
+  const money = (value) => formatMoney(value, watch.currency);
+
+  switch (watch.condition) {
+    case 'priceUp':
+    case 'priceDown': {
+      if (!baseline || !state.present) return null;
+      const change = state.price / baseline.price - 1;
+      const hit = watch.condition === 'priceUp' ? change * 100 > threshold : -change * 100 > threshold;
+      return hit ? `цена ${change >= 0 ? 'выросла' : 'снизилась'} на ${(Math.abs(change) * 100).toFixed(1)}%: ${money(baseline.price)} → ${money(state.price)}` : null;
+    }
+    case 'forecastAbove':
+      if (last?.forecast == null || !state.present) return null;
+      return last.forecast <= threshold && state.forecast > threshold
+        ? `прогноз на ${WATCH_FORECAST_HORIZON} мес поднялся выше ${money(threshold)}: ${money(state.forecast)}`
+        : null;
+    case 'forecastBelow':
+      if (last?.forecast == null || !state.present) return null;
+      return last.forecast >= threshold && state.forecast < threshold
+        ? `прогноз на ${WATCH_FORECAST_HORIZON} мес опустился ниже ${money(threshold)}: ${money(state.forecast)}`
+        : null;
+    case 'removed':
+      return last?.present && !state.present ? 'ЖК пропал из таблицы' : null;
+    default:
+      return null;
+  }
+}
+
+function watchBaseline(state, updatedAt) {
+  return state.present ? { price: state.price, at: updatedAt } : null;
+}
+
+/**
+ * Проверка всего списка после обновления данных. analysisFor(currency) — анализ рынка
+ * в валюте, в которой задан порог. Возвращает обновлённый список и новые оповещения.
+ */
+function evaluateWatchlist(watchlist, analysisFor, model, updatedAt) {
+  const alerts = [];
+  const next = watchlist.map(watch => {
+    const state = watchState(watch, analysisFor(watch.currency), model);
+    const message = checkWatch(watch, state);
+    if (!message) {
+      return { ...watch, last: state, baseline: watch.baseline || watchBaseline(state, updatedAt) };
+    }
+    alerts.push({
+      id: `${watch.id}|${updatedAt}`,
+      at: new Date().toISOString(),
+      watchId: watch.id,
+      kind: watch.kind,
+      target: watch.target,
+      condition: watch.condition,
+      message,
+      read: false,
+    });
+    return { ...watch, last: state, baseline: watchBaseline(state, updatedAt) };
+  });
+  return { watchlist: next, alerts };
+}
+
+function notifyBrowser(alerts) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  alerts.forEach(alert => {
+    try {
+      new Notification(`Ташкент: ${alert.target}`, { body: alert.message, tag: alert.id });
+    } catch (e) {
+      // Например, Chrome на Android требует Service Worker — оповещение остаётся в приложении
+    }
+  });
+}
+
+// ==========================================
+// ИНВЕСТИЦИОННЫЙ КАЛЬКУЛЯТОР
+// ==========================================
+const INVESTMENT_STORAGE_KEY = 'tashkent-forecast:investment';
+
+// Ставки и доли — в процентах, как их вводит пользователь
+const DEFAULT_INVESTMENT = {
+  area: 60,
+  downPayment: 30,
+  rate: 18,
+  termYears: 15,
+  holdMonths: 24,
+  rentYield: 6,
+  expenses: 1,
+  sellCost: 2,
+};
+
+// Поля ввода; площадь и срок кредита нулевыми быть не могут — на них делится расчёт
+const INVESTMENT_FIELDS = [
+  { key: 'area', label: 'Площадь, м²', min: 1, max: 1000, step: 1 },
+  { key: 'downPayment', label: 'Первоначальный взнос, %', min: 0, max: 100, step: 5 },
+  { key: 'rate', label: 'Ставка ипотеки, % годовых', min: 0, max: 100, step: 0.5 },
+  { key: 'termYears', label: 'Срок кредита, лет', min: 1, max: 30, step: 1 },
+  { key: 'rentYield', label: 'Аренда, % стоимости в год', min: 0, max: 100, step: 0.5 },
+  { key: 'expenses', label: 'Расходы, % стоимости в год', min: 0, max: 100, step: 0.5 },
+  { key: 'sellCost', label: 'Расходы на продажу, %', min: 0, max: 100, step: 0.5 },
+];
+
+// Значение поля, приведённое к его границам; null, если ввод не число
+function investmentValue(key, value) {
+  const number = parseFloat(value);
+  const field = INVESTMENT_FIELDS.find(f => f.key === key);
+  if (key === 'holdMonths') return FORECAST_HORIZONS.includes(number) ? number : null;
+  if (!field || !Number.isFinite(number)) return null;
+  return Math.min(Math.max(number, field.min), field.max);
+}
+
+function isInvestmentValueInRange(key, value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && investmentValue(key, number) === number;
+}
+
+function readStoredInvestment() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(INVESTMENT_STORAGE_KEY));
+    if (stored) {
+      return Object.fromEntries(Object.entries(DEFAULT_INVESTMENT).map(([key, fallback]) => [
+        key, investmentValue(key, stored[key]) ?? fallback,
+      ]));
+    }
+  } catch (e) {
+    console.warn('Не удалось прочитать параметры калькулятора:', e);
+  }
+  return DEFAULT_INVESTMENT;
+}
+
+// Цена за м² через month месяцев: линейно между горизонтами прогноза.
+// Прогнозировать каждый месяц напрямую нельзя: модели откалиброваны на горизонты FORECAST_HORIZONS
+function priceAtMonth(basePrice, forecast, month) {
+  const points = [{ months: 0, price: basePrice }, ...forecast];
+  const next = points.findIndex(p => p.months >= month);
+  if (next <= 0) return next === 0 ? basePrice : points[points.length - 1].price;
+  const a = points[next - 1];
+  const b = points[next];
+  return a.price + (b.price - a.price) * (month - a.months) / (b.months - a.months);
+}
+
+function annuityPayment(loan, monthlyRate, months) {
+  if (loan <= 0) return 0;
+  if (monthlyRate === 0) return loan / months;
+  return loan * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+// Внутренняя норма доходности месячного потока, пересчитанная в годовую; null, если корня нет
+function annualIRR(cashflows) {
+  const npv = (r) => cashflows.reduce((a, cf, t) => a + cf / Math.pow(1 + r, t), 0);
+  let lo = -0.99;
+  let hi = 1;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return Math.pow(1 + (lo + hi) / 2, 12) - 1;
+}
+
+/**
+ * Помесячная модель покупки в ипотеку: аренда и расходы от текущей стоимости,
+ * продажа в конце срока владения с погашением остатка кредита.
+ * forecast — прогноз цены за м² на горизонты до конца срока владения.
+ * Окупаемость — первый месяц, когда продажа вернула бы всё вложенное.
+ */
+function projectInvestment(basePrice, forecast, inputs) {
+  const price = basePrice * inputs.area;
+  const down = price * inputs.downPayment / 100;
+  const monthlyRate = inputs.rate / 100 / 12;
+  const termMonths = inputs.termYears * 12;
+  const payment = annuityPayment(price - down, monthlyRate, termMonths);
+
+  let balance = price - down;
+  let cumulative = -down;
+  let invested = down;
+  let totalInterest = 0;
+  let rentIncome = 0;
+  let breakEven = null;
+  let exit = 0;
+  const cashflows = [-down];
+  const timeline = [{ month: 0, value: price, balance, equity: down }];
+
+  for (let month = 1; month <= inputs.holdMonths; month++) {
+    const value = priceAtMonth(basePrice, forecast, month) * inputs.area;
+    const interest = balance * monthlyRate;
+    const principal = Math.min(Math.max(payment - interest, 0), balance);
+    balance -= principal;
+    totalInterest += interest;
+
+    const rent = value * inputs.rentYield / 100 / 12;
+    rentIncome += rent;
+    const net = rent - value * inputs.expenses / 100 / 12 - interest - principal;
+    if (net < 0) invested -= net;
+    cumulative += net;
+
+    exit = value * (1 - inputs.sellCost / 100) - balance;
+    if (breakEven === null && cumulative + exit >= 0) breakEven = month;
+    cashflows.push(month === inputs.holdMonths ? net + exit : net);
+    timeline.push({ month, value, balance, equity: value - balance });
+  }
+
+  const profit = cumulative + exit;
+  return {
+    price,
+    down,
+    loan: price - down,
+    payment,
+    exitValue: timeline[timeline.length - 1].value,
+    totalInterest,
+    rentIncome,
+    invested,
+    profit,
+    // Без взноса и с арендой, покрывающей платёж, своих денег не вложено — ROI не определён
+    roi: invested > 0 ? profit / invested : null,
+    irr: annualIRR(cashflows),
+    breakEven,
+    timeline,
+  };
+}
+
+// Сценарные прогнозы цены за м² для ЖК или класса на горизонты до конца срока владения
+function investmentScenarios(model, analysis, kind, target, holdMonths) {
+  const horizons = FORECAST_HORIZONS.filter(h => h <= holdMonths);
+  if (kind === 'jk') {
+    const jk = analysis.allJK.find(j => j.name === target);
+    if (!jk) return null;
+    const stats = analysis.classStats[jk.class];
+    const { scenarios } = forecastScenarios(
+      model, jk.lastPrice, jk.class, stats.jks.map(j => j.trend), jk.trend, stats.activity.value, jkHistory(jk), horizons
+    );
+    return { basePrice: jk.lastPrice, scenarios };
+  }
+  const stats = analysis.classStats[target];
+  if (!stats) return null;
+  const { scenarios } = forecastScenarios(
+    model, stats.avg, target, stats.jks.map(j => j.trend), stats.avgTrend, stats.activity.value, stats.history, horizons
+  );
+  return { basePrice: stats.avg, scenarios };
+}
+
+// ==========================================
+// ВЫГОДНЫЕ ПРЕДЛОЖЕНИЯ
+// ==========================================
+// Гедоническая модель: log(цена) = среднее + эффекты класса, района, застройщика и
+// (если есть в таблице) срока сдачи и этажности. Признаки центрированы, поэтому эффект —
+// отличие от «среднего» ЖК. Гребневая регуляризация сжимает эффекты малых групп к нулю.
+const HEDONIC_RIDGE = 1;
+// Уровень признака (район, застройщик) с меньшим числом ЖК в модель не входит:
+// иначе единственный ЖК застройщика «объяснялся» бы своим же застройщиком
+const HEDONIC_MIN_GROUP = 2;
+const VALUE_FLAG_THRESHOLD = 0.1;
+
+const VALUE_FLAGS = {
+  under: { label: 'Дешевле аналогов', color: '#4ade80' },
+  fair: { label: 'В рынке', color: '#94a3b8' },
+  over: { label: 'Дороже аналогов', color: '#f87171' },
+};
+
+const HEDONIC_FACTORS = [
+  { id: 'class', label: 'Класс', type: 'category', get: jk => jk.class },
+  { id: 'district', label: 'Район', type: 'category', get: jk => jk.district },
+  { id: 'developer', label: 'Застройщик', type: 'category', get: jk => jk.developer },
+  { id: 'completion', label: 'Срок сдачи', type: 'number', get: jk => jk.completion, describe: jk => jk.completionLabel },
+  { id: 'floors', label: 'Этажность', type: 'number', get: jk => jk.floors, describe: jk => `${jk.floors} эт.` },
+];
+
+/**
+ * Подгонка модели цены по всем ЖК. Возвращает { factors, r2, count, assess(jk) };
+ * assess даёт оценку цены, отклонение и вклад каждого фактора.
+ */
+function fitPriceModel(allJK) {
+  const factors = HEDONIC_FACTORS.filter(f => {
+    const values = allJK.map(f.get).filter(v => v !== null && v !== undefined);
+    return new Set(values).size > 1;
+  });
+
+  // Столбцы признаков: по одному на уровень категории, один на числовой фактор
+  const columns = [];
+  factors.forEach(f => {
+    if (f.type === 'category') {
+      const counts = {};
+      allJK.forEach(jk => {
+        const v = f.get(jk);
+        if (v) counts[v] = (counts[v] || 0) + 1;
+      });
+      Object.entries(counts)
+        .filter(([, count]) => count >= HEDONIC_MIN_GROUP)
+        .forEach(([level]) => columns.push({ factor: f.id, raw: jk => (f.get(jk) === level ? 1 : 0) }));
+    } else {
+      const values = allJK.map(f.get).filter(v => v !== null && v !== undefined);
+      const mean = average(values);
+      const std = Math.sqrt(average(values.map(v => (v - mean) * (v - mean)))) || 1;
+      // Пропуск — среднее значение, то есть нулевой вклад
+      columns.push({ factor: f.id, raw: jk => (f.get(jk) === null || f.get(jk) === undefined ? 0 : (f.get(jk) - mean) / std) });
+    }
+  });
+
+  const ys = allJK.map(jk => Math.log(jk.lastPrice));
+  const meanY = average(ys);
+  const means = columns.map(c => average(allJK.map(c.raw)));
+  const row = (jk) => columns.map((c, j) => c.raw(jk) - means[j]);
+  const X = allJK.map(row);
+
+  const p = columns.length;
+  const A = Array.from({ length: p }, (_, r) => Array.from({ length: p }, (_, c) => (r === c ? HEDONIC_RIDGE : 0)));
+  const b = new Array(p).fill(0);
+  X.forEach((x, i) => {
+    for (let r = 0; r < p; r++) {
+      b[r] += x[r] * (ys[i] - meanY);
+      for (let c = 0; c < p; c++) A[r][c] += x[r] * x[c];
+    }
+  });
+  const beta = p > 0 ? solveLinearSystem(A, b) || new Array(p).fill(0) : [];
+
+  const contributions = (jk) => {
+    const x = row(jk);
+    const byFactor = Object.fromEntries(factors.map(f => [f.id, 0]));
+    columns.forEach((c, j) => { byFactor[c.factor] += beta[j] * x[j]; });
+    return byFactor;
+  };
+
+  const assess = (jk) => {
+    const byFactor = contributions(jk);
+    const logFair = meanY + Object.values(byFactor).reduce((a, v) => a + v, 0);
+    const fair = Math.exp(logFair);
+    const residual = jk.lastPrice / fair - 1;
+    const drivers = factors
+      .map(f => {
+        const value = f.get(jk);
+        const known = value !== null && value !== undefined;
+        return {
+          factor: f.id,
+          label: `${f.label}: ${known ? (f.describe ? f.describe(jk) : value) : 'нет данных'}`,
+          effect: Math.exp(byFactor[f.id]) - 1,
+        };
+      })
+      .sort((a, b2) => Math.abs(b2.effect) - Math.abs(a.effect));
+    const flag = residual <= -VALUE_FLAG_THRESHOLD ? 'under' : residual >= VALUE_FLAG_THRESHOLD ? 'over' : 'fair';
+    return { fair, residual, logResidual: Math.log(jk.lastPrice) - logFair, drivers, flag };
+  };
+
+  const ssTot = ys.reduce((a, y) => a + (y - meanY) * (y - meanY), 0);
+  const ssRes = allJK.reduce((a, jk) => a + Math.pow(assess(jk).logResidual, 2), 0);
+
+  return {
+    factors,
+    count: allJK.length,
+    levels: columns.length,
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : null,
+    assess,
+  };
+}
+
+// Тренд ЖК относительно сегмента: ячейки район × класс, а если она мала — всего класса
+function segmentTrend(jk, analysis) {
+  const cell = jk.district ? analysis.crossStats[jk.district]?.[jk.class] : null;
+  const segment = cell && cell.count >= 3 ? cell : analysis.classStats[jk.class];
+  return {
+    label: segment === cell ? `${jk.district} • ${jk.class}` : jk.class,
+    trend: segment.avgTrend,
+    relative: jk.trend - segment.avgTrend,
+  };
+}
+
+// ==========================================
+// ИНДЕКС ЦЕН
+// ==========================================
+const INDEX_OVERALL = { label: 'Ташкент', color: '#f8fafc' };
+
+/**
+ * Цепной индекс по сопоставимым ЖК: изменение за месяц считается только по ЖК
+ * с ценой и в этом, и в предыдущем месяце, поэтому появление и уход ЖК из выборки
+ * не сдвигают индекс. Значения нормированы на базовый месяц = 100; ряд, начавшийся
+ * позже базового месяца, не нормируется (null).
+ */
+function chainIndex(jks, columnsCount, baseIndex, method) {
+  const hasPrice = (t) => jks.some(jk => priceAt(jk, t) !== null);
+  const chain = [hasPrice(0) ? 1 : null];
+
+  for (let t = 1; t < columnsCount; t++) {
+    if (chain[t - 1] === null) {
+      chain.push(hasPrice(t) ? 1 : null);
+      continue;
+    }
+    const matched = jks.filter(jk => priceAt(jk, t) !== null && priceAt(jk, t - 1) !== null);
+    const prev = aggregatePrices(matched, jk => priceAt(jk, t - 1), method);
+    const current = aggregatePrices(matched, jk => priceAt(jk, t), method);
+    // Нет сопоставимых ЖК — индекс не меняется
+    chain.push(prev ? chain[t - 1] * current / prev : chain[t - 1]);
+  }
+
+  const base = chain[baseIndex];
+  return chain.map(v => (v === null || !base ? null : Math.round(v / base * 1000) / 10));
+}
+
+// Подпись изменения между соседними колонками — по шагу между их датами
+const CHANGE_PERIODS = {
+  1: { short: 'м/м', label: 'К предыдущему месяцу' },
+  3: { short: 'кв/кв', label: 'К предыдущему кварталу' },
+  6: { short: 'п/п', label: 'К предыдущему полугодию' },
+  12: { short: 'г/г', label: 'К предыдущему году' },
+};
+const IRREGULAR_CHANGE_PERIOD = { short: 'к пред.', label: 'К предыдущей колонке' };
+
+function changePeriod(timeAxis) {
+  const steps = new Set(timeAxis.months.slice(1).map((m, i) => m - timeAxis.months[i]));
+  if (!timeAxis.dated || steps.size !== 1) return IRREGULAR_CHANGE_PERIOD;
+  return CHANGE_PERIODS[[...steps][0]] || IRREGULAR_CHANGE_PERIOD;
+}
+
+// Изменение индекса: к предыдущей колонке и к тому же месяцу год назад
+function indexChanges(values, monthKeys) {
+  const position = Object.fromEntries(monthKeys.map((key, i) => [key, i]));
+  const yearAgo = (i) => {
+    const key = monthKeys[i];
+    if (!key) return i - 12;
+    const [year, month] = key.split('-');
+    return position[`${Number(year) - 1}-${month}`] ?? -1;
+  };
+  const ratio = (a, b) => (a === null || b === null || b === undefined || !b ? null : a / b - 1);
+  return values.map((v, i) => ({
+    mom: i > 0 ? ratio(v, values[i - 1]) : null,
+    yoy: yearAgo(i) >= 0 ? ratio(v, values[yearAgo(i)]) : null,
+  }));
+}
+
+/**
+ * Индексы цен по классам, районам и общий по Ташкенту (все ЖК вместе)
+ * с изменениями к предыдущей колонке и г/г. Способ свёртки цен берётся из настроек анализа.
+ */
+function buildPriceIndex(analysis, baseIndex) {
+  const { priceColumns, aggregation } = analysis;
+  const monthKeys = priceColumns.map(col => parseMonthKey(col));
+  const series = (label, color, jks) => {
+    const values = chainIndex(jks, priceColumns.length, baseIndex, aggregation.method);
+    return { label, color, values, changes: indexChanges(values, monthKeys) };
+  };
+
+  return {
+    baseIndex,
+    months: priceColumns.map(col => col.replace('Цена ', '')),
+    timeAxis: analysis.timeAxis,
+    period: changePeriod(analysis.timeAxis),
+    overall: series(INDEX_OVERALL.label, INDEX_OVERALL.color, analysis.allJK),
+    classes: Object.fromEntries(Object.entries(analysis.classStats).map(([cls, stats]) => [
+      cls, series(cls, CLASS_COLORS[cls] || '#6b7280', stats.jks),
+    ])),
+    districts: Object.fromEntries(Object.entries(analysis.districtStats).map(([d, stats]) => [
+      d, series(d, DISTRICT_COLORS[d] || '#6b7280', stats.jks),
+    ])),
+  };
+}
+
+// ==========================================
+// ПРОГНОЗ ПО ГРУППАМ
+// ==========================================
+const FORECAST_GRANULARITIES = {
+  class: { label: 'Класс' },
+  district: { label: 'Район' },
+  cross: { label: 'Район × класс' },
+};
+
+/**
+ * Прогнозы в выбранной детализации. Каждая группа — { label, color, ...прогноз };
+ * модель всегда считается по ячейкам с известным классом, чтобы применялся коэффициент класса.
+ */
+function buildForecastGroups(model, analysis, granularity) {
+  if (granularity === 'class') {
+    return Object.fromEntries(Object.entries(analysis.classStats).map(([cls, stats]) => [
+      cls,
+      { label: cls, color: CLASS_COLORS[cls] || '#6b7280', ...forecastForClass(model, cls, stats) },
+    ]));
+  }
+
+  const groups = {};
+  Object.entries(analysis.crossStats).forEach(([d, cells]) => {
+    const parts = Object.entries(cells).map(([cls, stats]) => ({ cls, ...forecastForClass(model, cls, stats) }));
+    if (granularity === 'district') {
+      groups[d] = {
+        label: d,
+        color: DISTRICT_COLORS[d] || '#6b7280',
+        ...combineForecasts(model, parts, analysis.districtStats[d].activity),
+      };
+    } else {
+      parts.forEach(part => {
+        groups[`${d} • ${part.cls}`] = { label: `${d} • ${part.cls}`, color: CLASS_COLORS[part.cls] || '#6b7280', ...part };
+      });
+    }
+  });
+  return groups;
+}
+
+// ==========================================
+// КАРТА РАЙОНОВ
+// ==========================================
+// Границы районов — public/data/tashkent-districts.geojson: административные границы OpenStreetMap
+// (admin_level=8 внутри Ташкента, © участники OpenStreetMap, лицензия ODbL). Файл не встроен в сборку:
+// он загружается по сети, после первой загрузки его отдаёт service worker. Район определяется
+// по name:ru, name или name:uz объекта через справочник DISTRICTS.
+const DISTRICT_GEOJSON_URL = '/data/tashkent-districts.geojson';
+const MAP_ATTRIBUTION = '© участники OpenStreetMap, ODbL';
+
+const MAP_METRICS = {
+  price: { label: 'Средняя цена' },
+  trend: { label: 'Тренд в год' },
+  growth: { label: 'Прогноз роста, 12 мес' },
+};
+
+const MAP_COLOR_LOW = [59, 130, 246];
+const MAP_COLOR_HIGH = [239, 68, 68];
+const MAP_WIDTH = 640;
+
+// Загружается один раз за сессию; после ошибки следующая попытка снова идёт в сеть
+let districtShapesRequest = null;
+
+function loadDistrictShapes() {
+  if (!districtShapesRequest) {
+    districtShapesRequest = fetch(DISTRICT_GEOJSON_URL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(geojson => {
+        const features = (geojson.features || []).filter(f => ['Polygon', 'MultiPolygon'].includes(f.geometry?.type));
+        if (features.length === 0) throw new Error('В файле нет полигонов районов');
+        return features.map(feature => {
+          const props = feature.properties || {};
+          const label = props['name:ru'] || props.name || props['name:uz'] || '';
+          return { name: matchDistrict(label) || label, nameUz: props['name:uz'] || null, geometry: feature.geometry };
+        });
+      })
+      .catch(err => {
+        districtShapesRequest = null;
+        throw err;
+      });
+  }
+  return districtShapesRequest;
+}
+
+// Полигоны геометрии: у Polygon один, у MultiPolygon несколько; полигон — массив колец
+function geometryPolygons(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+// Равнопромежуточная проекция с поправкой на широту — для города этого достаточно
+function createMapProjection(points, width) {
+  const lons = points.map(p => p[0]);
+  const lats = points.map(p => p[1]);
+  const minLon = Math.min(...lons);
+  const maxLat = Math.max(...lats);
+  const kx = Math.cos((Math.min(...lats) + maxLat) / 2 * Math.PI / 180);
+  // Одна точка или точки на одной линии: берём запас, чтобы не делить на ноль
+  const spanX = Math.max((Math.max(...lons) - minLon) * kx, 0.01);
+  const scale = width / spanX;
+  return {
+    height: Math.max((maxLat - Math.min(...lats)) * scale, 1),
+    project: ([lon, lat]) => [(lon - minLon) * kx * scale, (maxLat - lat) * scale],
+  };
+}
+
+function geometryPath(geometry, project) {
+  return geometryPolygons(geometry)
+    .flatMap(polygon => polygon.map(ring => 'M' + ring.map(p => project(p).map(v => v.toFixed(1)).join(',')).join('L') + 'Z'))
+    .join(' ');
+}
+
+// Точка для подписи: среднее вершин внешнего кольца самого большого полигона
+function geometryCenter(geometry, project) {
+  const largest = geometryPolygons(geometry).reduce((a, b) => (b[0].length > a[0].length ? b : a));
+  const xy = largest[0].slice(0, -1).map(project);
+  return [average(xy.map(p => p[0])), average(xy.map(p => p[1]))];
+}
+
+function mapColor(value, min, max) {
+  if (value === null || value === undefined) return '#374151';
+  const t = max > min ? (value - min) / (max - min) : 0.5;
+  const rgb = MAP_COLOR_LOW.map((c, i) => Math.round(c + (MAP_COLOR_HIGH[i] - c) * t));
+  return `rgb(${rgb.join(',')})`;
+}
+
+// Значение показателя карты по району
+function districtMetric(stats, metric, model) {
+  if (metric === 'price') return stats.avg;
+  if (metric === 'trend') return average(stats.jks.map(jk => jk.trend));
+  const growth = stats.jks.map(jk => {
+    const f12 = model.forecast(jk.lastPrice, jk.class, jk.trend, stats.activity.value, FORECAST_HORIZONS, jkHistory(jk)).find(f => f.months === 12);
+    return parseFloat(f12.change) / 100;
+  });
+  return average(growth);
+}
+
+// ==========================================
+// ФИЛЬТРЫ И СОРТИРОВКА
+// ==========================================
+const DEFAULT_FILTERS = {
+  search: '',
+  classes: [],
+  districts: [],
+  priceMin: null,
+  priceMax: null,
+  sortKey: null,
+  sortDir: 'asc',
+};
+
+function filterJK(allJK, filters) {
+  const search = filters.search.trim().toLowerCase();
+  return allJK.filter(jk => {
+    if (search && !`${jk.name} ${jk.developer || ''}`.toLowerCase().includes(search)) return false;
+    if (filters.classes.length > 0 && !filters.classes.includes(jk.class)) return false;
+    if (filters.districts.length > 0 && !filters.districts.includes(jk.district)) return false;
+    if (filters.priceMin !== null && jk.lastPrice < filters.priceMin) return false;
+    if (filters.priceMax !== null && jk.lastPrice > filters.priceMax) return false;
+    return true;
+  });
+}
+
+// Ключи сортировки: name, class, district, developer, trend или price:<индекс колонки>
+function sortValue(jk, key) {
+  if (key.startsWith('price:')) return priceAt(jk, Number(key.slice(6)));
+  if (key === 'trend') return jk.prices.length > 1 ? jk.trend : null;
+  return jk[key];
+}
+
+function sortJK(jks, sortKey, sortDir) {
+  if (!sortKey) return jks;
+  const dir = sortDir === 'desc' ? -1 : 1;
+  return [...jks].sort((a, b) => {
+    const va = sortValue(a, sortKey);
+    const vb = sortValue(b, sortKey);
+    // Пустые значения всегда в конце
+    if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+    if (vb === null || vb === undefined) return -1;
+    if (typeof va === 'number') return (va - vb) * dir;
+    return String(va).localeCompare(String(vb), 'ru') * dir;
+  });
+}
+
+// ==========================================
+// СОСТОЯНИЕ В URL
+// ==========================================
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const list = (key) => (params.get(key) ? params.get(key).split(',').filter(Boolean) : []);
+  const number = (key) => {
+    const value = parseFloat(params.get(key));
+    return isNaN(value) ? null : value;
+  };
+  return {
+    ...DEFAULT_FILTERS,
+    search: params.get('q') || '',
+    classes: list('class'),
+    districts: list('district').map(normalizeDistrict),
+    priceMin: number('min'),
+    priceMax: number('max'),
+    sortKey: params.get('sort'),
+    sortDir: params.get('dir') === 'desc' ? 'desc' : 'asc',
+  };
+}
+
+function writeFiltersToUrl(filters) {
+  const params = new URLSearchParams(window.location.search);
+  const set = (key, value) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) params.delete(key);
+    else params.set(key, Array.isArray(value) ? value.join(',') : value);
+  };
+  set('q', filters.search);
+  set('class', filters.classes);
+  set('district', filters.districts);
+  set('min', filters.priceMin);
+  set('max', filters.priceMax);
+  set('sort', filters.sortKey);
+  set('dir', filters.sortKey && filters.sortDir === 'desc' ? 'desc' : null);
+
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+// Выбранные для сравнения ЖК: повторяющийся параметр compare, т.к. в названиях бывают запятые
+const MAX_COMPARE = 6;
+
+function readCompareFromUrl() {
+  return new URLSearchParams(window.location.search).getAll('compare').slice(0, MAX_COMPARE);
+}
+
+function writeCompareToUrl(names) {
+  const params = new URLSearchParams(window.location.search);
+  params.delete('compare');
+  names.forEach(name => params.append('compare', name));
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+// ==========================================
+// ЭКСПОРТ
+// ==========================================
+// Дата данных для имени файла: "19.10.2026, 06:12:32" -> "2026-10-19"
+function exportFileDate(lastUpdate) {
+  const match = String(lastUpdate || '').match(/(\d{2})\.(\d{2})\.(\d{4})/);
+  if (!match) return new Date().toISOString().slice(0, 10);
+  return `${match[3]}-${match[2]}-${match[1]}`;
+}
+
+function jkExportTable(analysis, filters, currency) {
+  const headers = ['ЖК', 'Класс', 'Район', 'Застройщик', ...analysis.priceColumns.map(c => `${c.replace('Цена ', '')}, ${currency}/м²`), 'Тренд, % в год'];
+  const rows = sortJK(analysis.allJK, filters.sortKey, filters.sortDir).map(jk => [
+    jk.name,
+    jk.class,
+    jk.district || '',
+    jk.developer || '',
+    ...analysis.priceColumns.map((_, index) => priceAt(jk, index) ?? ''),
+    jk.prices.length > 1 ? Number(jk.trendPercent) : '',
+  ]);
+  return { name: 'ЖК', headers, rows };
+}
+
+function classExportTable(analysis, currency) {
+  return {
+    name: 'Классы',
+    headers: ['Класс', 'ЖК', `Средняя цена, ${currency}/м²`, 'Мин', 'Макс', 'Тренд, % в год', 'Активность'],
+    rows: Object.entries(analysis.classStats).map(([cls, s]) => [
+      cls, s.count, s.avg, s.min, s.max, Number((s.avgTrend * 100).toFixed(1)), Number(s.activity.value.toFixed(2)),
+    ]),
+  };
+}
+
+function districtExportTable(analysis, currency) {
+  return {
+    name: 'Районы',
+    headers: ['Район', 'ЖК', `Средняя цена, ${currency}/м²`, 'Активность'],
+    rows: Object.entries(analysis.districtStats).map(([d, s]) => [
+      d, s.count, s.avg, Number(s.activity.value.toFixed(2)),
+    ]),
+  };
+}
+
+function indexExportTables(priceIndex) {
+  const all = [priceIndex.overall, ...Object.values(priceIndex.classes), ...Object.values(priceIndex.districts)];
+  const main = [priceIndex.overall, ...Object.values(priceIndex.classes)];
+  const percent = (v) => (v === null ? '' : Number((v * 100).toFixed(1)));
+  return [
+    {
+      name: 'Индекс',
+      headers: ['Месяц', ...all.map(sr => sr.label)],
+      rows: priceIndex.months.map((month, i) => [month, ...all.map(sr => sr.values[i] ?? '')]),
+    },
+    {
+      name: 'Изменения',
+      headers: ['Месяц', ...main.flatMap(sr => [`${sr.label} ${priceIndex.period.short}, %`, `${sr.label} г/г, %`])],
+      rows: priceIndex.months.map((month, i) => [
+        month,
+        ...main.flatMap(sr => [percent(sr.changes[i].mom), percent(sr.changes[i].yoy)]),
+      ]),
+    },
+  ];
+}
+
+function forecastExportTable(forecasts, currency) {
+  const horizons = FORECAST_HORIZONS.flatMap(m => [`+${m} мес`, `+${m} мес, %`, `+${m} мес, мин`, `+${m} мес, макс`]);
+  return {
+    name: 'Прогноз',
+    headers: ['Класс', `Сейчас, ${currency}/м²`, 'Тренд, % в год', 'Активность', ...horizons],
+    rows: Object.entries(forecasts).map(([cls, d]) => [
+      cls,
+      d.current,
+      Number((d.trend * 100).toFixed(1)),
+      Number(d.activity.value.toFixed(2)),
+      ...d.forecast.flatMap(f => [f.price, Number(f.change), f.lower, f.upper]),
+    ]),
+  };
+}
+
+// CSV с разделителем ";" и BOM — так его корректно открывает Excel с русской локалью
+function toCSV(table) {
+  const escape = (value) => {
+    const str = String(value ?? '');
+    return /[";\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return '\uFEFF' + [table.headers, ...table.rows].map(row => row.map(escape).join(';')).join('\r\n');
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportCSV(table, filename) {
+  downloadBlob(new Blob([toCSV(table)], { type: 'text/csv;charset=utf-8' }), filename);
+}
+
+async function exportXLSX(tables, filename) {
+  const XLSX = await import('xlsx');
+  const book = XLSX.utils.book_new();
+  tables.forEach(table => {
+    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]), table.name);
+  });
+  XLSX.writeFile(book, filename);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[ch]));
+}
+
+// Простой SVG-график линий для печатного отчёта (recharts рендерит только видимые вкладки)
+function reportLineChart(labels, series, currency = 'USD', width = 720, height = 260) {
+  const pad = { left: 60, right: 20, top: 20, bottom: 30 };
+  const values = series.flatMap(s => s.values.filter(v => v !== null && v !== undefined));
+  if (values.length === 0) return '';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const x = (i) => pad.left + (labels.length > 1 ? i * (width - pad.left - pad.right) / (labels.length - 1) : 0);
+  const y = (v) => height - pad.bottom - (v - min) / range * (height - pad.top - pad.bottom);
+
+  const lines = series.map(s => {
+    const points = s.values
+      .map((v, i) => (v === null || v === undefined ? null : `${x(i).toFixed(1)},${y(v).toFixed(1)}`))
+      .filter(Boolean)
+      .join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="2.5" />`;
+  }).join('');
+  const xLabels = labels.map((l, i) => `<text x="${x(i)}" y="${height - 8}" font-size="11" text-anchor="middle">${escapeHtml(l)}</text>`).join('');
+  const yLabels = [min, (min + max) / 2, max].map(v => `<text x="${pad.left - 8}" y="${y(v) + 4}" font-size="11" text-anchor="end">${formatMoneyShort(Math.round(v), currency)}</text>`).join('');
+  const legend = series.map(s => `<span style="color:${s.color};margin-right:16px">■ ${escapeHtml(s.name)}</span>`).join('');
+
+  return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${xLabels}${yLabels}${lines}</svg><div class="legend">${legend}</div>`;
+}
+
+function reportTable(table) {
+  const head = table.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = table.rows.map(r => `<tr>${r.map(v => `<td>${escapeHtml(typeof v === 'number' ? v.toLocaleString('ru-RU') : v)}</td>`).join('')}</tr>`).join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * HTML-отчёт для клиента: метрики, графики, прогноз и описание модели.
+ * Открывается в новом окне и сразу отправляется на печать (сохранение в PDF).
+ */
+function buildReportHtml({ analysis, forecasts, lastUpdate, modelDescription, filtered, sourceLabel, currency }) {
+  const classes = Object.keys(analysis.classStats);
+  const months = analysis.priceHistory.map(p => p.month);
+  const historyChart = reportLineChart(months, classes.map(cls => ({
+    name: cls,
+    color: CLASS_COLORS[cls] || '#6b7280',
+    values: analysis.priceHistory.map(p => p[cls] ?? null),
+  })), currency);
+  const forecastChart = reportLineChart(['Сейчас', ...FORECAST_HORIZONS.map(m => `+${m} мес`)], classes.map(cls => ({
+    name: cls,
+    color: CLASS_COLORS[cls] || '#6b7280',
+    values: [forecasts[cls].current, ...forecasts[cls].forecast.map(f => f.price)],
+  })), currency);
+  const metrics = classes.map(cls => {
+    const st = analysis.classStats[cls];
+    const f24 = forecasts[cls].forecast.find(f => f.months === 24);
+    return `<div class="metric" style="border-color:${CLASS_COLORS[cls] || '#6b7280'}">
+      <div class="label">${escapeHtml(cls)}</div>
+      <div class="value">${formatMoney(st.avg, currency)}</div>
+      <div class="sub">${st.count} ЖК • тренд ${formatSignedPercent(st.avgTrend)}${f24 ? ` • прогноз 24 мес: ${formatSignedPercent(parseFloat(f24.change) / 100)}` : ''}</div>
+    </div>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8" />
+<title>Прогноз цен на новостройки Ташкента — ${escapeHtml(exportFileDate(lastUpdate))}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #0f172a; margin: 32px; }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  h2 { margin: 28px 0 12px; font-size: 18px; color: #065f46; }
+  .meta { color: #475569; font-size: 13px; }
+  .metrics { display: flex; gap: 16px; flex-wrap: wrap; }
+  .metric { border-left: 4px solid; padding: 8px 16px; background: #f1f5f9; border-radius: 8px; min-width: 180px; }
+  .metric .label { color: #475569; font-size: 13px; }
+  .metric .value { font-size: 22px; font-weight: bold; }
+  .metric .sub { font-size: 12px; color: #475569; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; }
+  th { color: #475569; }
+  .legend { font-size: 12px; margin-top: 4px; }
+  @media print { body { margin: 12mm; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+  <h1>Прогноз цен на новостройки Ташкента</h1>
+  <div class="meta">Данные от ${escapeHtml(lastUpdate)} • ${analysis.allJK.length} ЖК${filtered ? ' (выборка по фильтрам)' : ''} • Цены за м², ${escapeHtml(CURRENCIES[currency].label)} • Источник: ${escapeHtml(sourceLabel)}</div>
+  <h2>Ключевые показатели</h2>
+  <div class="metrics">${metrics}</div>
+  <h2>Динамика цен по классам</h2>
+  ${historyChart}
+  <h2>Прогноз на 24 месяца</h2>
+  ${forecastChart}
+  ${reportTable(forecastExportTable(forecasts, currency))}
+  <h2>Статистика по классам</h2>
+  ${reportTable(classExportTable(analysis, currency))}
+  <h2>Статистика по районам</h2>
+  ${reportTable(districtExportTable(analysis, currency))}
+  <h2>Модель</h2>
+  <p class="meta">${escapeHtml(modelDescription)}</p>
+</body>
+</html>`;
+}
+
+function openReport(html) {
+  const win = window.open('', '_blank');
+  if (!win) throw new Error('Браузер заблокировал окно отчёта');
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  setTimeout(() => win.print(), 300);
+}
+
+// ==========================================
+// СТИЛИ
+// ==========================================
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#1f2d1fff',
+    color: '#e2e8f0',
+    padding: '24px',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    margin: 0,
+  },
+  maxWidth: {
     maxWidth: '1400px',
     margin: '0 auto',
   },
@@ -323,6 +3190,13 @@ const styles = {
     minHeight: '300px',
     gap: '16px',
   },
+  warning: {
+    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+    border: '1px solid rgba(245, 158, 11, 0.4)',
+    borderRadius: '12px',
+    padding: '12px 20px',
+    color: '#fcd34d',
+  },
   error: {
     backgroundColor: 'rgba(239, 68, 68, 0.1)',
     border: '1px solid rgba(239, 68, 68, 0.3)',
@@ -357,179 +3231,2894 @@ const styles = {
     gap: '12px',
     flexWrap: 'wrap',
   },
+  input: {
+    backgroundColor: 'rgba(4, 18, 14, 0.4)',
+    border: '1px solid rgba(16, 185, 129, 0.4)',
+    borderRadius: '8px',
+    padding: '8px 12px',
+    color: '#e2e8f0',
+    fontSize: '14px',
+  },
+  label: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '14px',
+    color: '#94a3b8',
+  },
+};
+
+// ==========================================
+// КОМПОНЕНТЫ
+// ==========================================
+const TIME_TERMS = { short: 'короткий', medium: 'средний', long: 'длинный' };
+const ACTIVITY_TERMS = { high: 'высокая', medium: 'средняя', low: 'низкая' };
+
+function formatError(value) {
+  return value === null ? '—' : `${(value * 100).toFixed(2)} п.п.`;
+}
+
+// Кривые принадлежности: x от min до max с шагом step
+function membershipCurves(terms, min, max, step) {
+  const points = [];
+  for (let x = min; x <= max + step / 2; x += step) {
+    const point = { x: Math.round(x * 1000) / 1000 };
+    Object.entries(terms).forEach(([term, p]) => {
+      point[term] = Math.exp(-Math.pow((x - p.center) / p.sigma, 2));
+    });
+    points.push(point);
+  }
+  return points;
+}
+
+const TERM_COLORS = { short: '#60a5fa', medium: '#fbbf24', long: '#f87171', high: '#f87171', low: '#60a5fa' };
+
+// График функций принадлежности; центр терма перетаскивается мышью
+function MembershipEditor({ title, terms, labels, range, unit, onChange }) {
+  const [dragging, setDragging] = useState(null);
+  const data = useMemo(() => membershipCurves(terms, range.min, range.max, range.step), [terms, range]);
+
+  const nearestTerm = (x) => Object.entries(terms)
+    .sort((a, b) => Math.abs(a[1].center - x) - Math.abs(b[1].center - x))[0][0];
+  const update = (term, patch) => onChange({ ...terms, [term]: { ...terms[term], ...patch } });
+
+  return (
+    <div>
+      <div style={styles.metricLabel}>{title}</div>
+      <div style={{ height: '220px', cursor: dragging ? 'grabbing' : 'grab', userSelect: 'none' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={data}
+            onMouseDown={(e) => e && e.activeLabel !== undefined && setDragging(nearestTerm(Number(e.activeLabel)))}
+            onMouseMove={(e) => dragging && e && e.activeLabel !== undefined && update(dragging, { center: Number(e.activeLabel) })}
+            onMouseUp={() => setDragging(null)}
+            onMouseLeave={() => setDragging(null)}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+            <XAxis dataKey="x" type="number" domain={[range.min, range.max]} stroke="#94a3b8" />
+            <YAxis domain={[0, 1]} stroke="#94a3b8" />
+            <Legend />
+            {Object.entries(terms).map(([term, p]) => (
+              <ReferenceLine key={term} x={p.center} stroke={TERM_COLORS[term]} strokeDasharray="3 3" />
+            ))}
+            {Object.keys(terms).map(term => (
+              <Line
+                key={term}
+                type="monotone"
+                dataKey={term}
+                name={labels[term]}
+                stroke={TERM_COLORS[term]}
+                strokeWidth={dragging === term ? 4 : 2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div style={{ ...styles.buttonGroup, marginTop: '8px' }}>
+        {Object.entries(terms).map(([term, p]) => (
+          <div key={term} style={{ ...styles.label, color: TERM_COLORS[term] }}>
+            {labels[term]}:
+            <input
+              type="number"
+              step={range.step}
+              value={p.center}
+              onChange={e => update(term, { center: Number(e.target.value) })}
+              style={{ ...styles.input, width: '70px' }}
+            />
+            ±
+            <input
+              type="number"
+              step={range.step}
+              min={range.step}
+              value={p.sigma}
+              onChange={e => Number(e.target.value) > 0 && update(term, { sigma: Number(e.target.value) })}
+              style={{ ...styles.input, width: '70px' }}
+            />
+            {unit}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const TIME_RANGE = { min: 0, max: 36, step: 0.5 };
+const ACTIVITY_RANGE = { min: 0, max: 1, step: 0.01 };
+
+function TSKSettingsPanel({ params, analysis, modelId, onChange, onReset }) {
+  const { money } = useMoney();
+  const [fileError, setFileError] = useState(null);
+  const times = Object.keys(params.timeParams);
+  const activities = Object.keys(params.activityParams);
+
+  const setConsequent = (time, activity, value) => onChange({
+    ...params,
+    rules: params.rules.map(r => (r.time === time && r.activity === activity ? { ...r, consequent: value } : r)),
+  });
+
+  const preview = useMemo(() => {
+    const model = new FuzzyTSKModel(params);
+    return Object.entries(analysis.classStats).map(([cls, stats]) => ({
+      cls,
+      coefficient: model.getClassCoefficient(cls),
+      ...forecastForClass(model, cls, stats),
+    }));
+  }, [params, analysis]);
+
+  const save = () => {
+    const file = { format: TSK_PARAMS_FILE_FORMAT, version: 1, savedAt: new Date().toISOString(), params };
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), 'tsk-params.json');
+  };
+
+  const load = async (file) => {
+    if (!file) return;
+    try {
+      setFileError(null);
+      onChange(validateTSKParams(JSON.parse(await file.text())));
+    } catch (err) {
+      console.error('❌ Ошибка загрузки параметров:', err);
+      setFileError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div style={styles.card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Параметры модели TSK</h2>
+          <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+            <button onClick={save} style={styles.buttonSecondary}>Сохранить JSON</button>
+            <label style={{ ...styles.buttonSecondary, cursor: 'pointer' }}>
+              Загрузить JSON
+              <input type="file" accept=".json,application/json" onChange={e => load(e.target.files[0])} style={{ display: 'none' }} />
+            </label>
+            <button onClick={onReset} style={styles.buttonSecondary}>Сбросить к заводским</button>
+          </div>
+        </div>
+        {fileError && <p style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '12px' }}>{fileError}</p>}
+        {!['tsk', 'ensemble'].includes(modelId) && (
+          <div style={{ ...styles.warning, marginBottom: '16px' }}>
+            Сейчас выбрана модель «{FORECAST_MODELS[modelId].label}» — параметры TSK влияют на прогноз только моделей TSK и ансамбля.
+          </div>
+        )}
+
+        <h3 style={{ color: '#f1f5f9', marginBottom: '12px' }}>Правила: изменение цены за горизонт, %</h3>
+        <div style={{ overflowX: 'auto', marginBottom: '20px' }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Срок \ Активность</th>
+                {activities.map(a => <th key={a} style={styles.th}>{ACTIVITY_TERMS[a]}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {times.map(time => (
+                <tr key={time}>
+                  <td style={styles.td}>{TIME_TERMS[time]}</td>
+                  {activities.map(activity => {
+                    const rule = params.rules.find(r => r.time === time && r.activity === activity);
+                    return (
+                      <td key={activity} style={styles.td}>
+                        <input
+                          type="number"
+                          step="0.5"
+                          value={Math.round(rule.consequent * 1000) / 10}
+                          onChange={e => setConsequent(time, activity, Number(e.target.value) / 100)}
+                          style={{ ...styles.input, width: '80px' }}
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <h3 style={{ color: '#f1f5f9', marginBottom: '12px' }}>Функции принадлежности</h3>
+        <p style={{ ...styles.metricSub, marginBottom: '12px' }}>Перетащите кривую мышью, чтобы сдвинуть центр терма; ширину задайте в поле «±».</p>
+        <div style={{ ...styles.grid, marginBottom: '20px' }}>
+          <MembershipEditor
+            title="Горизонт прогноза, мес"
+            terms={params.timeParams}
+            labels={TIME_TERMS}
+            range={TIME_RANGE}
+            unit="мес"
+            onChange={timeParams => onChange({ ...params, timeParams })}
+          />
+          <MembershipEditor
+            title="Активность рынка"
+            terms={params.activityParams}
+            labels={ACTIVITY_TERMS}
+            range={ACTIVITY_RANGE}
+            unit=""
+            onChange={activityParams => onChange({ ...params, activityParams })}
+          />
+        </div>
+
+        <h3 style={{ color: '#f1f5f9', marginBottom: '12px' }}>Коэффициенты классов</h3>
+        <div style={styles.buttonGroup}>
+          {Object.entries(params.classCoefficients).map(([cls, k]) => (
+            <label key={cls} style={{ ...styles.label, color: CLASS_COLORS[cls] }}>
+              {cls}:
+              <input
+                type="number"
+                step="0.05"
+                min="0.05"
+                value={k}
+                onChange={e => Number(e.target.value) > 0 && onChange({
+                  ...params,
+                  classCoefficients: { ...params.classCoefficients, [cls]: Number(e.target.value) },
+                })}
+                style={{ ...styles.input, width: '80px' }}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Прогноз TSK с этими параметрами</h2>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Класс</th>
+              <th style={styles.th}>Коэффициент</th>
+              <th style={styles.th}>Сейчас</th>
+              {FORECAST_HORIZONS.map(h => <th key={h} style={styles.th}>+{h} мес</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.map(row => (
+              <tr key={row.cls}>
+                <td style={styles.td}>{row.cls}</td>
+                <td style={styles.td}>×{row.coefficient.toFixed(2)}</td>
+                <td style={styles.td}>{money(row.current)}</td>
+                {row.forecast.map(f => (
+                  <td key={f.months} style={styles.td}>
+                    {money(f.price)}
+                    <span style={{ color: parseFloat(f.change) >= 0 ? '#4ade80' : '#f87171', marginLeft: '6px', fontSize: '12px' }}>
+                      {formatSignedPercent(parseFloat(f.change) / 100)}
+                    </span>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+function ModelComparisonPanel({ modelId, onModelChange, analysis, tskModel, backtestStart }) {
+  const { money, moneyShort } = useMoney();
+  const classes = Object.keys(analysis.classStats);
+  const [cls, setCls] = useState(classes[0]);
+  const [showErrors, setShowErrors] = useState(false);
+  const stats = analysis.classStats[cls] || analysis.classStats[classes[0]];
+  const current = classes.includes(cls) ? cls : classes[0];
+
+  const models = useMemo(
+    () => Object.entries(FORECAST_MODELS).map(([id, m]) => ({ id, label: m.label, model: m.create(tskModel) })),
+    [tskModel]
+  );
+
+  const { timeAxis } = analysis;
+  const now = timeAxis.times[timeAxis.times.length - 1];
+  const chartData = useMemo(() => {
+    const results = models.map(m => m.model.forecast(
+      stats.avg, current, stats.avgTrend, stats.activity.value, FORECAST_HORIZONS, stats.history
+    ));
+    return [
+      { t: now, ...Object.fromEntries(models.map(m => [m.id, stats.avg])) },
+      ...FORECAST_HORIZONS.map((months, i) => ({
+        t: now + months,
+        ...Object.fromEntries(models.map((m, k) => [m.id, results[k][i].price])),
+      })),
+    ];
+  }, [models, stats, current, now]);
+
+  // Ошибки бэктеста на уровне классов, сведённые по всем классам с весом по числу прогнозов.
+  // Бэктест каждой модели — полный проход по истории, поэтому считаем только по запросу
+  const { allJK, priceColumns } = analysis;
+  const errors = useMemo(() => (!showErrors ? null : models.map(m => {
+    const backtest = runBacktest(m.model, allJK, priceColumns, backtestStart);
+    const rows = backtest.rows.filter(r => r.level === 'class');
+    const byHorizon = Object.fromEntries(backtest.horizons.map(h => {
+      const list = rows.filter(r => r.horizon === h);
+      const count = list.reduce((a, r) => a + r.count, 0);
+      return [h, count > 0 ? list.reduce((a, r) => a + r.mape * r.count, 0) / count : null];
+    }));
+    const count = rows.reduce((a, r) => a + r.count, 0);
+    return {
+      ...m,
+      horizons: backtest.horizons,
+      byHorizon,
+      mape: count > 0 ? rows.reduce((a, r) => a + r.mape * r.count, 0) / count : null,
+    };
+  })), [showErrors, models, allJK, priceColumns, backtestStart]);
+
+  const horizons = errors?.[0]?.horizons || [];
+  const best = (get) => Math.min(...errors.map(get).filter(v => v !== null));
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+        <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Модель прогноза</h2>
+        <div style={{ display: 'inline-flex', flexWrap: 'wrap' }}>
+          {models.map(m => (
+            <button
+              key={m.id}
+              onClick={() => onModelChange(m.id)}
+              style={{ ...styles.tab, ...(modelId === m.id ? styles.tabActive : styles.tabInactive), padding: '8px 14px' }}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+        Выбранная модель используется во всех прогнозах и бэктесте. Трендовые модели и модель Хольта строятся по цепному
+        индексу группы с учётом дат колонок и не учитывают активность рынка; ансамбль — среднее всех четырёх моделей.
+      </p>
+
+      <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '12px' }}>
+        <select value={current} onChange={e => setCls(e.target.value)} style={styles.input}>
+          {classes.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
+      <div style={{ height: '320px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+            <XAxis
+              dataKey="t"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              ticks={chartData.map(p => p.t)}
+              tickFormatter={timeAxis.format}
+              stroke="#94a3b8"
+            />
+            <YAxis stroke="#94a3b8" tickFormatter={moneyShort} domain={['auto', 'auto']} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+              labelFormatter={timeAxis.format}
+              formatter={(v, name) => [money(v), name]}
+            />
+            <Legend />
+            {models.map((m, i) => (
+              <Line
+                key={m.id}
+                type="monotone"
+                dataKey={m.id}
+                name={m.label}
+                stroke={DEVELOPER_PALETTE[i % DEVELOPER_PALETTE.length]}
+                strokeWidth={m.id === modelId ? 4 : 2}
+                strokeDasharray={m.id === modelId ? undefined : '6 4'}
+                dot={{ r: 3 }}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h3 style={{ color: '#f1f5f9', margin: '20px 0 12px' }}>Ошибка бэктеста (MAPE средних по классам)</h3>
+      {backtestStart > 1 && (
+        <p style={{ ...styles.metricSub, marginBottom: '12px' }}>
+          TSK обучена на истории до {analysis.timeAxis.labels[backtestStart]}, поэтому все модели сравниваются только на отложенных месяцах.
+        </p>
+      )}
+      {!errors ? (
+        <button onClick={() => setShowErrors(true)} style={styles.buttonSecondary}>Сравнить модели на истории</button>
+      ) : horizons.length === 0 ? (
+        <p style={styles.metricSub}>Для бэктеста нужно минимум два месяца цен в таблице.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Модель</th>
+                {horizons.map(h => <th key={h} style={styles.th}>+{h} мес</th>)}
+                <th style={styles.th}>Все горизонты</th>
+              </tr>
+            </thead>
+            <tbody>
+              {errors.map(e => {
+                const cell = (value, bestValue) => (
+                  <td style={{ ...styles.td, color: value !== null && value === bestValue ? '#4ade80' : undefined }}>
+                    {value === null ? '—' : `${(value * 100).toFixed(1)}%`}
+                  </td>
+                );
+                return (
+                  <tr key={e.id} style={{ fontWeight: e.id === modelId ? '600' : undefined }}>
+                    <td style={styles.td}>{e.label}</td>
+                    {horizons.map(h => <React.Fragment key={h}>{cell(e.byHorizon[h], best(x => x.byHorizon[h]))}</React.Fragment>)}
+                    {cell(e.mape, best(x => x.mape))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ModelTrainingPanel({
+  training, trainingError, params, maxHoldout,
+  holdoutMonths, onHoldoutChange, tuneMemberships, onTuneChange,
+  onTrain, onReset,
+}) {
+  const defaults = DEFAULT_TSK_PARAMS;
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Обучение модели TSK</h2>
+      <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+        Консеквенты правил подбираются методом наименьших квадратов по изменениям цен ЖК между месяцами таблицы.
+        Последние месяцы откладываются для проверки.
+      </p>
+
+      <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '16px' }}>
+        <label style={styles.label}>
+          Отложить месяцев:
+          <input
+            type="number"
+            min={1}
+            max={maxHoldout}
+            value={holdoutMonths}
+            onChange={e => onHoldoutChange(Math.min(Math.max(Number(e.target.value) || 1, 1), maxHoldout))}
+            style={{ ...styles.input, width: '70px' }}
+          />
+        </label>
+        <label style={styles.label}>
+          <input type="checkbox" checked={tuneMemberships} onChange={e => onTuneChange(e.target.checked)} />
+          Подбирать функции принадлежности
+        </label>
+        <button onClick={onTrain} style={styles.button}>Обучить</button>
+        <button onClick={onReset} style={styles.buttonSecondary} disabled={!training}>
+          Сбросить к умолчанию
+        </button>
+      </div>
+
+      {trainingError && <div style={{ ...styles.error, marginBottom: '16px' }}>{trainingError}</div>}
+
+      {training && (
+        <div style={{ ...styles.metricSub, marginBottom: '16px' }}>
+          Обучено {training.trainedAt}: {training.trainCount} примеров, проверка — {training.holdoutCount}.
+          MAE на обучении: {formatError(training.metrics.trainBefore)} → {formatError(training.metrics.trainAfter)} •
+          MAE на проверке: {formatError(training.metrics.holdoutBefore)} → {formatError(training.metrics.holdoutAfter)}
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Горизонт</th>
+              <th style={styles.th}>Активность</th>
+              <th style={styles.th}>По умолчанию</th>
+              <th style={styles.th}>Текущее</th>
+            </tr>
+          </thead>
+          <tbody>
+            {params.rules.map((rule, i) => (
+              <tr key={i}>
+                <td style={styles.td}>{TIME_TERMS[rule.time]}</td>
+                <td style={styles.td}>{ACTIVITY_TERMS[rule.activity]}</td>
+                <td style={styles.td}>{(defaults.rules[i].consequent * 100).toFixed(1)}%</td>
+                <td style={{ ...styles.td, fontWeight: '600' }}>{(rule.consequent * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {training?.tuneMemberships && (
+        <div style={{ ...styles.metricSub, marginTop: '12px' }}>
+          Время: {Object.entries(params.timeParams).map(([term, p]) => `${TIME_TERMS[term]} ${p.center.toFixed(1)}±${p.sigma.toFixed(1)} мес`).join(', ')}
+          <br />
+          Активность: {Object.entries(params.activityParams).map(([term, p]) => `${ACTIVITY_TERMS[term]} ${p.center.toFixed(2)}±${p.sigma.toFixed(2)}`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ForecastScenariosPanel({ forecasts, timeAxis }) {
+  const { money, moneyShort } = useMoney();
+  const classes = Object.keys(forecasts);
+  const [cls, setCls] = useState(classes[0]);
+  const [visible, setVisible] = useState(() => FORECAST_SCENARIOS.map(sc => sc.id));
+
+  // После смены детализации выбранной группы может не оказаться среди ключей
+  const current = classes.includes(cls) ? cls : classes[0];
+  const data = forecasts[current];
+  const toggle = (id) => setVisible(v => (v.includes(id) ? v.filter(x => x !== id) : [...v, id]));
+
+  // Факт и прогноз на одной оси времени: прогноз продолжает линию от последней колонки
+  const origin = timeAxis.times[0];
+  const now = timeAxis.times[timeAxis.times.length - 1];
+  const chartData = [
+    ...data.past.filter(p => p.price !== null && origin + p.t < now).map(p => ({ t: origin + p.t, past: p.price })),
+    {
+      t: now,
+      past: data.current,
+      band: [data.current, data.current],
+      ...Object.fromEntries(data.scenarios.map(sc => [sc.id, data.current])),
+    },
+    ...data.forecast.map((f, i) => ({
+      t: now + f.months,
+      band: [f.lower, f.upper],
+      ...Object.fromEntries(data.scenarios.map(sc => [sc.id, sc.forecast[i].price])),
+    })),
+  ];
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Сценарии прогноза</h2>
+      <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '16px' }}>
+        <select value={current} onChange={e => setCls(e.target.value)} style={styles.input}>
+          {classes.map(c => <option key={c} value={c}>{forecasts[c].label || c}</option>)}
+        </select>
+        {data.scenarios.map(sc => (
+          <label key={sc.id} style={{ ...styles.label, color: sc.color }}>
+            <input type="checkbox" checked={visible.includes(sc.id)} onChange={() => toggle(sc.id)} />
+            {sc.label}
+          </label>
+        ))}
+      </div>
+      <div style={{ height: '350px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+            <XAxis
+              dataKey="t"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              ticks={chartData.map(p => p.t)}
+              tickFormatter={timeAxis.format}
+              stroke="#94a3b8"
+            />
+            <YAxis stroke="#94a3b8" tickFormatter={moneyShort} domain={['auto', 'auto']} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+              labelFormatter={timeAxis.format}
+              formatter={(v, name) => [Array.isArray(v) ? `${money(v[0])} – ${money(v[1])}` : money(v), name]}
+            />
+            <Legend />
+            <Area dataKey="band" name="Интервал" stroke="none" fill={data.color || CLASS_COLORS[current] || '#6b7280'} fillOpacity={0.2} />
+            <Line type="monotone" dataKey="past" name="Факт" stroke={data.color || CLASS_COLORS[current] || '#6b7280'} strokeWidth={3} dot={{ r: 3 }} />
+            {data.scenarios.filter(sc => visible.includes(sc.id)).map(sc => (
+              <Line
+                key={sc.id}
+                type="monotone"
+                dataKey={sc.id}
+                name={sc.label}
+                stroke={sc.color}
+                strokeWidth={sc.id === 'base' ? 3 : 2}
+                strokeDasharray={sc.id === 'base' ? undefined : '6 4'}
+                dot={{ r: 4 }}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <table style={{ ...styles.table, marginTop: '16px' }}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Сценарий</th>
+            <th style={styles.th}>Тренд в год</th>
+            <th style={styles.th}>Активность</th>
+            <th style={styles.th}>+24 мес</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.scenarios.map(sc => {
+            const last = sc.forecast[sc.forecast.length - 1];
+            return (
+              <tr key={sc.id}>
+                <td style={{ ...styles.td, color: sc.color }}>{sc.label}</td>
+                <td style={styles.td}>
+                  {formatSignedPercent(sc.trend)}
+                  <span style={{ color: '#64748b', fontSize: '12px', marginLeft: '6px' }}>
+                    {sc.trendQuantile === null ? 'средний по группе' : `${Math.round(sc.trendQuantile * 100)}-й процентиль ЖК`}
+                  </span>
+                </td>
+                <td style={styles.td}>{sc.activity.toFixed(2)}</td>
+                <td style={styles.td}>{money(last.price)} ({formatSignedPercent(parseFloat(last.change) / 100)})</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function formatShare(value) {
+  return value === null ? '—' : `${Math.round(value * 100)}%`;
+}
+
+function MarketActivityPanel({ forecasts, districtStats }) {
+  const activityRow = (key, label, activity, extra) => (
+    <tr key={key}>
+      <td style={styles.td}>{label}</td>
+      <td style={{ ...styles.td, fontWeight: '600' }}>{activity.value.toFixed(2)}</td>
+      <td style={styles.td}>{formatShare(activity.movedShare)}</td>
+      <td style={styles.td}>{formatShare(activity.newShare)}</td>
+      <td style={styles.td}>{activity.dispersion === null ? '—' : `${(activity.dispersion * 100).toFixed(2)}%`}</td>
+      {extra}
+    </tr>
+  );
+
+  const head = (first, extra) => (
+    <thead>
+      <tr>
+        <th style={styles.th}>{first}</th>
+        <th style={styles.th}>Активность</th>
+        <th style={styles.th}>Сменили цену</th>
+        <th style={styles.th}>Новые ЖК</th>
+        <th style={styles.th}>Разброс изменений</th>
+        {extra}
+      </tr>
+    </thead>
+  );
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Активность рынка</h2>
+      <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+        Рассчитывается по последнему месяцу: доля ЖК, изменивших цену, доля новых ЖК и разброс месячных изменений.
+        Значение 0.5 — нейтральная активность.
+      </p>
+      <div style={{ overflowX: 'auto', marginBottom: '20px' }}>
+        <table style={styles.table}>
+          {head('Класс', <th style={styles.th}>Сильнейшие правила (12 мес)</th>)}
+          <tbody>
+            {Object.entries(forecasts).map(([cls, data]) => activityRow(cls, cls, data.activity, (
+              <td style={styles.td}>
+                {data.firedRules.length === 0 && <span style={{ color: '#94a3b8' }}>Правила есть только у модели TSK</span>}
+                {data.firedRules.map(r => (
+                  <div key={`${r.time}-${r.activity}`} style={{ fontSize: '12px' }}>
+                    {TIME_TERMS[r.time]} срок, {ACTIVITY_TERMS[r.activity]} активность → {(r.consequent * 100).toFixed(1)}%
+                    <span style={{ color: '#94a3b8' }}> ({Math.round(r.weight * 100)}%)</span>
+                  </div>
+                ))}
+              </td>
+            )))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={styles.table}>
+          {head('Район')}
+          <tbody>
+            {Object.entries(districtStats).map(([d, stats]) => activityRow(d, d, stats.activity))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function formatSignedPercent(value) {
+  if (value === null) return '—';
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
+function BacktestPanel({ backtest, classes, timeAxis, holdoutLabel }) {
+  const { money, moneyShort } = useMoney();
+  const [level, setLevel] = useState('class');
+  const [cls, setCls] = useState(classes[0]);
+  const [horizon, setHorizon] = useState(backtest.horizons[0]);
+  // После смены данных выбранных класса или горизонта может не оказаться в бэктесте
+  const currentCls = classes.includes(cls) ? cls : classes[0];
+  const currentHorizon = backtest.horizons.includes(horizon) ? horizon : backtest.horizons[0];
+
+  if (backtest.rows.length === 0) {
+    return (
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Бэктест прогноза</h2>
+        <p style={styles.metricSub}>Для бэктеста нужно минимум два месяца цен в таблице.</p>
+      </div>
+    );
+  }
+
+  const rows = backtest.rows.filter(r => r.level === level);
+  const chartData = backtest.points.filter(p => p.cls === currentCls && p.horizon === currentHorizon);
+
+  return (
+    <>
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Точность прогноза на истории</h2>
+        <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+          Для каждого месяца прогноз строится только по данным до него и сравнивается с фактическими ценами.
+          Средние по классам сравниваются по одним и тем же ЖК. Смещение &gt; 0 — модель завышает цену.
+          {holdoutLabel && ` Параметры TSK обучены на более ранней истории, поэтому проверяются только прогнозы на отложенные месяцы, начиная с ${holdoutLabel}.`}
+        </p>
+        <div style={{ ...styles.buttonGroup, marginBottom: '16px' }}>
+          {[['class', 'Средние по классам'], ['jk', 'Отдельные ЖК']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setLevel(id)}
+              style={{ ...styles.tab, ...(level === id ? styles.tabActive : styles.tabInactive) }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Класс</th>
+                <th style={styles.th}>Горизонт</th>
+                <th style={styles.th}>Сравнений</th>
+                <th style={styles.th}>MAE</th>
+                <th style={styles.th}>MAPE</th>
+                <th style={styles.th}>Смещение</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={`${r.cls}-${r.horizon}`}>
+                  <td style={styles.td}>
+                    <span style={{ ...styles.badge, backgroundColor: `${CLASS_COLORS[r.cls]}30`, color: CLASS_COLORS[r.cls] }}>
+                      {r.cls}
+                    </span>
+                  </td>
+                  <td style={styles.td}>+{r.horizon} мес</td>
+                  <td style={styles.td}>{r.count}</td>
+                  <td style={styles.td}>{money(r.mae)}</td>
+                  <td style={styles.td}>{(r.mape * 100).toFixed(1)}%</td>
+                  <td style={{ ...styles.td, color: Math.abs(r.bias) < 0.02 ? '#4ade80' : '#f87171' }}>
+                    {formatSignedPercent(r.bias)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Прогноз и факт</h2>
+        <div style={{ ...styles.buttonGroup, marginBottom: '16px' }}>
+          <select value={currentCls} onChange={e => setCls(e.target.value)} style={styles.input}>
+            {classes.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <select value={currentHorizon} onChange={e => setHorizon(Number(e.target.value))} style={styles.input}>
+            {backtest.horizons.map(h => <option key={h} value={h}>+{h} мес</option>)}
+          </select>
+        </div>
+        <div style={{ height: '320px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="t"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                ticks={timeAxis.times}
+                tickFormatter={timeAxis.format}
+                stroke="#94a3b8"
+              />
+              <YAxis stroke="#94a3b8" tickFormatter={moneyShort} domain={['auto', 'auto']} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+                labelFormatter={timeAxis.format}
+                formatter={(v, name) => [money(v), name]}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="actual" name="Факт" stroke={CLASS_COLORS[currentCls] || '#6b7280'} strokeWidth={3} dot={{ r: 5 }} />
+              <Line type="monotone" dataKey="predicted" name="Прогноз" stroke="#94a3b8" strokeDasharray="6 4" strokeWidth={2} dot={{ r: 4 }} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function SortHeader({ label, sortKey, filters, onChange }) {
+  const active = filters.sortKey === sortKey;
+  const toggle = () => onChange(f => ({
+    ...f,
+    sortKey,
+    sortDir: active && f.sortDir === 'asc' ? 'desc' : 'asc',
+  }));
+
+  return (
+    <th style={{ ...styles.th, cursor: 'pointer', whiteSpace: 'nowrap' }} onClick={toggle}>
+      {label}
+      <span style={{ marginLeft: '4px', color: active ? '#6ee7b7' : '#475569' }}>
+        {active ? (filters.sortDir === 'asc' ? '▲' : '▼') : '↕'}
+      </span>
+    </th>
+  );
+}
+
+function ChipSelect({ options, selected, onChange, colors = {}, labels = {} }) {
+  const toggle = (value) => onChange(
+    selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]
+  );
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+      {options.map(option => {
+        const active = selected.includes(option);
+        const color = colors[option] || '#10b981';
+        return (
+          <button
+            key={option}
+            onClick={() => toggle(option)}
+            style={{
+              ...styles.badge,
+              cursor: 'pointer',
+              border: `1px solid ${color}`,
+              backgroundColor: active ? `${color}40` : 'transparent',
+              color: active ? '#f1f5f9' : '#94a3b8',
+            }}
+          >
+            {labels[option] || option}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+function JKFilters({ filters, onChange, classes, districts }) {
+  const { currency } = useMoney();
+  const update = (patch) => onChange(f => ({ ...f, ...patch }));
+  const parseBound = (value) => (value === '' ? null : Number(value));
+  const active = filters.search || filters.classes.length > 0 || filters.districts.length > 0
+    || filters.priceMin !== null || filters.priceMax !== null;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', marginBottom: '16px' }}>
+      <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+        <input
+          type="search"
+          placeholder="Поиск по ЖК или застройщику"
+          value={filters.search}
+          onChange={e => update({ search: e.target.value })}
+          style={{ ...styles.input, minWidth: '260px' }}
+        />
+        <label style={styles.label}>
+          Цена, {currency}:
+          <input
+            type="number"
+            placeholder="от"
+            value={filters.priceMin ?? ''}
+            onChange={e => update({ priceMin: parseBound(e.target.value) })}
+            style={{ ...styles.input, width: '100px' }}
+          />
+          <input
+            type="number"
+            placeholder="до"
+            value={filters.priceMax ?? ''}
+            onChange={e => update({ priceMax: parseBound(e.target.value) })}
+            style={{ ...styles.input, width: '100px' }}
+          />
+        </label>
+        {active && (
+          <button onClick={() => onChange(f => ({ ...DEFAULT_FILTERS, sortKey: f.sortKey, sortDir: f.sortDir }))} style={styles.buttonSecondary}>
+            Сбросить фильтры
+          </button>
+        )}
+      </div>
+      <ChipSelect options={classes} selected={filters.classes} onChange={v => update({ classes: v })} colors={CLASS_COLORS} />
+      <ChipSelect options={districts} selected={filters.districts} onChange={v => update({ districts: v })} colors={DISTRICT_COLORS} />
+    </div>
+  );
+}
+
+const DEVELOPER_PALETTE = [
+  '#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ec4899',
+  '#06b6d4', '#ef4444', '#84cc16', '#a855f7', '#f97316',
+];
+
+function DeveloperPanel({ developerStats, timeAxis }) {
+  const { money, moneyShort } = useMoney();
+  const ranking = Object.entries(developerStats)
+    .map(([developer, stats]) => ({ developer, ...stats }))
+    .sort((a, b) => b.avgTrend - a.avgTrend);
+  const byCount = [...ranking].sort((a, b) => b.count - a.count).map(d => d.developer);
+  const [selected, setSelected] = useState(() => byCount.slice(0, 5));
+
+  if (ranking.length === 0) {
+    return (
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Застройщики</h2>
+        <p style={styles.metricSub}>В таблице не заполнена колонка «{COLUMNS.developer}».</p>
+      </div>
+    );
+  }
+
+  const colorOf = (developer) => DEVELOPER_PALETTE[byCount.indexOf(developer) % DEVELOPER_PALETTE.length];
+  const chartData = timeAxis.times.map((t, index) => {
+    const point = { t };
+    selected.forEach(developer => {
+      const value = developerStats[developer]?.history[index];
+      if (value !== null && value !== undefined) point[developer] = value;
+    });
+    return point;
+  });
+
+  return (
+    <>
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Рейтинг застройщиков по росту цен ({ranking.length})</h2>
+        <div style={{ overflowX: 'auto', maxHeight: '500px' }}>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>#</th>
+                <th style={styles.th}>Застройщик</th>
+                <th style={styles.th}>Проектов</th>
+                <th style={styles.th}>Средняя цена</th>
+                <th style={styles.th}>Тренд в год</th>
+                <th style={styles.th}>Классы</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ranking.map((d, i) => (
+                <tr key={d.developer}>
+                  <td style={styles.td}>{i + 1}</td>
+                  <td style={{ ...styles.td, fontWeight: '500' }}>{d.developer}</td>
+                  <td style={styles.td}>{d.count}</td>
+                  <td style={styles.td}>{money(d.avg)}</td>
+                  <td style={{ ...styles.td, color: d.avgTrend >= 0 ? '#4ade80' : '#f87171' }}>
+                    {formatSignedPercent(d.avgTrend)}
+                  </td>
+                  <td style={styles.td}>
+                    {Object.entries(d.classMix).map(([cls, n]) => (
+                      <span key={cls} style={{ ...styles.badge, backgroundColor: `${CLASS_COLORS[cls]}30`, color: CLASS_COLORS[cls], marginRight: '4px' }}>
+                        {cls} {n}
+                      </span>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Средняя цена застройщиков по месяцам</h2>
+        <div style={{ marginBottom: '16px' }}>
+          <ChipSelect
+            options={byCount}
+            selected={selected}
+            onChange={setSelected}
+            colors={Object.fromEntries(byCount.map(d => [d, colorOf(d)]))}
+          />
+        </div>
+        <div style={{ height: '350px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="t"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                ticks={timeAxis.times}
+                tickFormatter={timeAxis.format}
+                stroke="#94a3b8"
+              />
+              <YAxis stroke="#94a3b8" tickFormatter={moneyShort} domain={['auto', 'auto']} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+                labelFormatter={timeAxis.format}
+                formatter={(v, name) => [money(v), name]}
+              />
+              <Legend />
+              {selected.map(developer => (
+                <Line key={developer} type="monotone" dataKey={developer} stroke={colorOf(developer)} strokeWidth={2} dot={{ r: 4 }} connectNulls />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const CROSS_METRICS = {
+  avg: { label: 'Средняя цена' },
+  count: { label: 'Количество ЖК' },
+  avgTrend: { label: 'Тренд в год' },
+};
+
+function PriceIndexPanel({ priceIndex, onBaseChange }) {
+  const [group, setGroup] = useState('classes');
+  const [changeKey, setChangeKey] = useState('overall');
+  const groups = { classes: 'Классы', districts: 'Районы' };
+  const lines = Object.entries(priceIndex[group]);
+  const allSeries = { overall: priceIndex.overall, ...priceIndex.classes, ...priceIndex.districts };
+  const changeSeries = allSeries[changeKey] || priceIndex.overall;
+  const { timeAxis } = priceIndex;
+
+  const indexData = timeAxis.times.map((t, i) => ({
+    t,
+    overall: priceIndex.overall.values[i],
+    ...Object.fromEntries(lines.map(([key, sr]) => [key, sr.values[i]])),
+  }));
+  const changeData = timeAxis.times.map((t, i) => ({
+    t,
+    mom: changeSeries.changes[i].mom,
+    yoy: changeSeries.changes[i].yoy,
+  }));
+  const hasYoY = changeData.some(d => d.yoy !== null);
+  const percentTick = (v) => `${(v * 100).toFixed(1)}%`;
+  // На числовой оси крайние столбцы центрированы по краю графика — отступ, чтобы их не обрезало
+  const barPadding = { left: 24, right: 24 };
+  const changeBar = (key) => (
+    <Bar dataKey={key} radius={[4, 4, 0, 0]}>
+      {changeData.map((d, i) => <Cell key={i} fill={d[key] >= 0 ? '#4ade80' : '#f87171'} />)}
+    </Bar>
+  );
+
+  return (
+    <>
+      <div style={styles.card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Индекс цен ({priceIndex.months[priceIndex.baseIndex]} = 100)</h2>
+          <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+            <label style={styles.label}>
+              Базовый месяц:
+              <select value={priceIndex.baseIndex} onChange={e => onBaseChange(Number(e.target.value))} style={styles.input}>
+                {priceIndex.months.map((month, i) => <option key={month} value={i}>{month}</option>)}
+              </select>
+            </label>
+            <div style={{ display: 'inline-flex' }}>
+              {Object.entries(groups).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setGroup(key)}
+                  style={{ ...styles.tab, ...(group === key ? styles.tabActive : styles.tabInactive), padding: '8px 14px' }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div style={{ height: '350px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={indexData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="t"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                ticks={timeAxis.times}
+                tickFormatter={timeAxis.format}
+                stroke="#94a3b8"
+              />
+              <YAxis stroke="#94a3b8" domain={['auto', 'auto']} />
+              <Tooltip contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }} labelFormatter={timeAxis.format} />
+              <Legend />
+              <Line type="monotone" dataKey="overall" name={priceIndex.overall.label} stroke={priceIndex.overall.color} strokeWidth={4} dot={{ r: 4 }} />
+              {lines.map(([key, sr]) => (
+                <Line key={key} type="monotone" dataKey={key} name={sr.label} stroke={sr.color} strokeWidth={2} dot={{ r: 3 }} connectNulls />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+          Цепной индекс: изменение между соседними колонками считается только по ЖК с ценой в обеих, поэтому появление новых ЖК не сдвигает индекс.
+        </p>
+      </div>
+
+      <div style={styles.card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Изменение индекса</h2>
+          <select value={changeKey} onChange={e => setChangeKey(e.target.value)} style={styles.input}>
+            {Object.entries(allSeries).map(([key, sr]) => <option key={key} value={key}>{sr.label}</option>)}
+          </select>
+        </div>
+        <div style={styles.grid}>
+          <div>
+            <div style={styles.metricLabel}>{priceIndex.period.label}</div>
+            <div style={{ height: '250px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={changeData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                  <XAxis
+                    dataKey="t"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    padding={barPadding}
+                    ticks={timeAxis.times}
+                    tickFormatter={timeAxis.format}
+                    stroke="#94a3b8"
+                  />
+                  <YAxis stroke="#94a3b8" tickFormatter={percentTick} />
+                  <Tooltip contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }} labelFormatter={timeAxis.format} formatter={(v) => [formatSignedPercent(v), priceIndex.period.short]} />
+                  {changeBar('mom')}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+          <div>
+            <div style={styles.metricLabel}>К тому же месяцу год назад</div>
+            {hasYoY ? (
+              <div style={{ height: '250px' }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={changeData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                    <XAxis
+                      dataKey="t"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      padding={barPadding}
+                      ticks={timeAxis.times}
+                      tickFormatter={timeAxis.format}
+                      stroke="#94a3b8"
+                    />
+                    <YAxis stroke="#94a3b8" tickFormatter={percentTick} />
+                    <Tooltip contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }} labelFormatter={timeAxis.format} formatter={(v) => [formatSignedPercent(v), 'г/г']} />
+                    {changeBar('yoy')}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+                Для изменения год к году нужны цены за тот же месяц прошлого года — в таблице таких месяцев нет.
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function DistrictClassPanel({ analysis }) {
+  const { money } = useMoney();
+  const [metric, setMetric] = useState('avg');
+  const classes = Object.keys(analysis.classStats);
+  const districts = Object.keys(analysis.crossStats).sort();
+  const values = districts.flatMap(d => Object.values(analysis.crossStats[d]).map(cell => cell[metric]));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const format = (cell) => {
+    if (metric === 'avg') return money(cell.avg);
+    if (metric === 'count') return cell.count;
+    return formatSignedPercent(cell.avgTrend);
+  };
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+        <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Район × класс</h2>
+        <div style={{ display: 'inline-flex' }}>
+          {Object.entries(CROSS_METRICS).map(([key, m]) => (
+            <button
+              key={key}
+              onClick={() => setMetric(key)}
+              style={{ ...styles.tab, ...(metric === key ? styles.tabActive : styles.tabInactive), padding: '8px 14px' }}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Район</th>
+              {classes.map(cls => <th key={cls} style={{ ...styles.th, color: CLASS_COLORS[cls] }}>{cls}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {districts.map(d => (
+              <tr key={d}>
+                <td style={styles.td}>{d}</td>
+                {classes.map(cls => {
+                  const cell = analysis.crossStats[d][cls];
+                  return (
+                    <td
+                      key={cls}
+                      title={cell ? `${cell.count} ЖК • ${money(cell.avg)} • тренд ${formatSignedPercent(cell.avgTrend)}` : ''}
+                      style={{ ...styles.td, textAlign: 'center', backgroundColor: cell ? mapColor(cell[metric], min, max) : 'transparent', color: '#fff' }}
+                    >
+                      {cell ? format(cell) : '—'}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function DistrictMapPanel({ analysis, model, selected, onSelectDistrict, onSelectJK }) {
+  const { money } = useMoney();
+  const [metric, setMetric] = useState('price');
+  const [hovered, setHovered] = useState(null);
+  const [shapes, setShapes] = useState(null);
+  const [shapesError, setShapesError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadDistrictShapes()
+      .then(list => !cancelled && setShapes(list))
+      .catch(err => {
+        console.warn('Не удалось загрузить границы районов:', err);
+        if (!cancelled) setShapesError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const points = analysis.allJK.filter(jk => jk.coords);
+
+  // Без файла границ карта строится по одним точкам ЖК
+  const { height, project } = useMemo(() => {
+    const coordinates = shapes
+      ? shapes.flatMap(shape => geometryPolygons(shape.geometry).flatMap(polygon => polygon[0]))
+      : analysis.allJK.filter(jk => jk.coords).map(jk => [jk.coords.lon, jk.coords.lat]);
+    return coordinates.length > 0 ? createMapProjection(coordinates, MAP_WIDTH) : { height: 0, project: null };
+  }, [shapes, analysis.allJK]);
+
+  const values = useMemo(() => Object.fromEntries(Object.entries(analysis.districtStats).map(([name, stats]) => [
+    name, districtMetric(stats, metric, model),
+  ])), [analysis, metric, model]);
+
+  const districts = useMemo(() => (shapes && project ? shapes.map(shape => ({
+    ...shape,
+    stats: analysis.districtStats[shape.name] || null,
+    value: values[shape.name] ?? null,
+    path: geometryPath(shape.geometry, project),
+    center: geometryCenter(shape.geometry, project),
+  })) : []), [shapes, project, analysis, values]);
+
+  const known = Object.values(values);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  const formatValue = (v) => metric === 'price' ? money(v) : formatSignedPercent(v);
+  const onMap = new Set(districts.map(d => d.name));
+  const missing = shapes ? Object.keys(analysis.districtStats).filter(d => !onMap.has(d)) : [];
+  const hoveredStats = hovered ? analysis.districtStats[hovered] || null : null;
+  const hoveredShape = districts.find(d => d.name === hovered);
+
+  return (
+    <div style={styles.card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+        <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Карта районов</h2>
+        <div style={{ display: 'inline-flex' }}>
+          {Object.entries(MAP_METRICS).map(([key, m]) => (
+            <button
+              key={key}
+              onClick={() => setMetric(key)}
+              style={{ ...styles.tab, ...(metric === key ? styles.tabActive : styles.tabInactive), padding: '8px 14px' }}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {shapesError && (
+        <div style={{ ...styles.warning, marginBottom: '16px' }}>
+          Границы районов не загружены ({shapesError}). Положите выгрузку административных границ OpenStreetMap
+          (admin_level=8 внутри Ташкента) в формате GeoJSON в public{DISTRICT_GEOJSON_URL}.
+          {points.length > 0 && ' Пока показаны только ЖК с координатами, цвет — по показателю их района.'}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        {project ? (
+          <svg viewBox={`0 0 ${MAP_WIDTH} ${Math.round(height)}`} style={{ flex: '1 1 420px', maxWidth: `${MAP_WIDTH}px`, overflow: 'visible' }}>
+            {districts.map((d, i) => (
+              <path
+                key={`${d.name}-${i}`}
+                d={d.path}
+                fill={mapColor(d.value, min, max)}
+                fillRule="evenodd"
+                stroke={selected.includes(d.name) ? '#facc15' : '#0f172a'}
+                strokeWidth={selected.includes(d.name) ? 3 : 1}
+                style={{ cursor: d.stats ? 'pointer' : 'default', opacity: hovered && hovered !== d.name ? 0.75 : 1 }}
+                onMouseEnter={() => setHovered(d.name)}
+                onMouseLeave={() => setHovered(null)}
+                onClick={() => d.stats && onSelectDistrict(d.name)}
+              />
+            ))}
+            {districts.map((d, i) => (
+              <text
+                key={`${d.name}-${i}`}
+                x={d.center[0]}
+                y={d.center[1]}
+                textAnchor="middle"
+                fontSize="11"
+                fill="#f1f5f9"
+                style={{ pointerEvents: 'none' }}
+              >
+                {d.name.replace(/ский$/, '')}
+              </text>
+            ))}
+            {points.map(jk => {
+              const [x, y] = project([jk.coords.lon, jk.coords.lat]);
+              return (
+                <circle
+                  key={jk.name}
+                  cx={x}
+                  cy={y}
+                  r={5}
+                  fill={shapes ? CLASS_COLORS[jk.class] || '#6b7280' : mapColor(values[jk.district] ?? null, min, max)}
+                  stroke="#fff"
+                  strokeWidth={1}
+                  style={{ cursor: 'pointer' }}
+                  onMouseEnter={() => setHovered(jk.district)}
+                  onMouseLeave={() => setHovered(null)}
+                  onClick={() => onSelectJK(jk.name)}
+                >
+                  <title>{`${jk.name} • ${jk.district} • ${jk.class} • ${money(jk.lastPrice)}`}</title>
+                </circle>
+              );
+            })}
+          </svg>
+        ) : (
+          <p style={{ ...styles.metricSub, flex: '1 1 420px' }}>
+            {shapes === null && !shapesError ? 'Загрузка границ районов…' : 'Нет ни границ районов, ни ЖК с координатами — показать на карте нечего.'}
+          </p>
+        )}
+
+        <div style={{ flex: '0 1 260px' }}>
+          {hovered ? (
+            <div style={styles.metricCard}>
+              <div style={styles.metricLabel}>{hovered}{hoveredShape?.nameUz ? ` • ${hoveredShape.nameUz}` : ''}</div>
+              {hoveredStats ? (
+                <>
+                  <div style={styles.metricValue}>{formatValue(values[hovered])}</div>
+                  <div style={styles.metricSub}>
+                    {hoveredStats.count} ЖК • средняя цена {money(hoveredStats.avg)}
+                  </div>
+                  <div style={styles.metricSub}>
+                    {[...new Set(hoveredStats.jks.map(jk => jk.class))]
+                      .map(cls => `${cls}: ${hoveredStats.jks.filter(jk => jk.class === cls).length}`)
+                      .join(' • ')}
+                  </div>
+                  <div style={styles.metricSub}>Активность рынка: {hoveredStats.activity.value.toFixed(2)}</div>
+                </>
+              ) : (
+                <div style={styles.metricSub}>Нет ЖК в выборке</div>
+              )}
+            </div>
+          ) : (
+            <p style={styles.metricSub}>Наведите на район, чтобы увидеть статистику; нажмите — чтобы открыть список его ЖК.</p>
+          )}
+
+          {known.length > 0 && (
+            <div style={{ marginTop: '16px' }}>
+              <div style={styles.metricLabel}>{MAP_METRICS[metric].label}</div>
+              <div style={{
+                height: '10px',
+                borderRadius: '4px',
+                background: `linear-gradient(to right, ${mapColor(min, min, max)}, ${mapColor(max, min, max)})`,
+              }} />
+              <div style={{ display: 'flex', justifyContent: 'space-between', ...styles.metricSub }}>
+                <span>{formatValue(min)}</span>
+                <span>{formatValue(max)}</span>
+              </div>
+            </div>
+          )}
+
+          {points.length > 0 && shapes && (
+            <p style={{ ...styles.metricSub, marginTop: '12px' }}>Точки — ЖК с координатами ({points.length}), цвет по классу</p>
+          )}
+          {missing.length > 0 && (
+            <p style={{ ...styles.metricSub, marginTop: '12px' }}>Нет на карте: {missing.join(', ')}</p>
+          )}
+          {shapes && <p style={{ ...styles.metricSub, marginTop: '12px' }}>Границы районов: {MAP_ATTRIBUTION}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ExportBar({ analysis, forecasts, priceIndex, filters, lastUpdate, modelDescription, filtered, sourceLabel }) {
+  const { currency } = useMoney();
+  const [target, setTarget] = useState('jk');
+  const [exportError, setExportError] = useState(null);
+  const date = exportFileDate(lastUpdate);
+
+  const targets = {
+    jk: { label: 'Таблица ЖК', file: 'zhk', tables: () => [jkExportTable(analysis, filters, currency)] },
+    stats: { label: 'Классы и районы', file: 'stats', tables: () => [classExportTable(analysis, currency), districtExportTable(analysis, currency)] },
+    forecast: { label: 'Прогноз', file: 'forecast', tables: () => [forecastExportTable(forecasts, currency)] },
+    index: { label: `Индекс цен (база ${priceIndex.months[priceIndex.baseIndex]})`, file: 'price-index', tables: () => indexExportTables(priceIndex) },
+  };
+
+  const run = async (action) => {
+    try {
+      setExportError(null);
+      await action();
+    } catch (err) {
+      console.error('❌ Ошибка экспорта:', err);
+      setExportError(err.message);
+    }
+  };
+
+  const current = targets[target];
+  const baseName = `tashkent-${current.file}-${currency.toLowerCase()}-${date}`;
+
+  const csv = () => run(() => {
+    const tables = current.tables();
+    tables.forEach(table => exportCSV(table, tables.length > 1 ? `${baseName}-${table.name}.csv` : `${baseName}.csv`));
+  });
+  const xlsx = () => run(() => exportXLSX(current.tables(), `${baseName}.xlsx`));
+  const report = () => run(() => openReport(buildReportHtml({ analysis, forecasts, lastUpdate, modelDescription, filtered, sourceLabel, currency })));
+
+  return (
+    <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+      <select value={target} onChange={e => setTarget(e.target.value)} style={styles.input}>
+        {Object.entries(targets).map(([id, t]) => <option key={id} value={id}>{t.label}</option>)}
+      </select>
+      <button onClick={csv} style={styles.buttonSecondary}>CSV</button>
+      <button onClick={xlsx} style={styles.buttonSecondary}>XLSX</button>
+      <button onClick={report} style={styles.buttonSecondary}>Отчёт PDF</button>
+      {exportError && <span style={{ color: '#fca5a5', fontSize: '13px' }}>{exportError}</span>}
+    </div>
+  );
+}
+
+function DataSourcePanel({ source, onLoad }) {
+  const [draft, setDraft] = useState(source);
+  const update = (patch) => setDraft(d => ({ ...d, ...patch }));
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Источник данных</h2>
+      <div style={{ ...styles.buttonGroup, marginBottom: '16px' }}>
+        {Object.entries(DATA_SOURCES).map(([type, ds]) => (
+          <button
+            key={type}
+            onClick={() => update({ type })}
+            style={{ ...styles.tab, ...(draft.type === type ? styles.tabActive : styles.tabInactive) }}
+          >
+            {ds.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+        {draft.type === 'sheets' && (
+          <>
+            <label style={styles.label}>
+              ID таблицы:
+              <input value={draft.sheetId} onChange={e => update({ sheetId: e.target.value.trim() })} style={{ ...styles.input, width: '380px' }} />
+            </label>
+            <label style={styles.label}>
+              Лист:
+              <input value={draft.sheetName} onChange={e => update({ sheetName: e.target.value })} style={styles.input} />
+            </label>
+            <label style={styles.label}>
+              gid листа (для ссылок на ячейки):
+              <input value={draft.sheetGid} onChange={e => update({ sheetGid: e.target.value.trim() })} style={{ ...styles.input, width: '120px' }} />
+            </label>
+          </>
+        )}
+        {draft.type === 'file' && (
+          <input
+            type="file"
+            accept=".csv,.txt,.xlsx,.xls"
+            onChange={e => update({ file: e.target.files[0] || null })}
+            style={styles.label}
+          />
+        )}
+        {draft.type === 'json' && (
+          <label style={styles.label}>
+            URL:
+            <input value={draft.url} onChange={e => update({ url: e.target.value.trim() })} style={{ ...styles.input, width: '320px' }} />
+          </label>
+        )}
+        <button onClick={() => onLoad(draft)} style={styles.button} disabled={draft.type === 'file' && !draft.file}>
+          Загрузить
+        </button>
+        <button onClick={() => setDraft(DEFAULT_DATA_SOURCE)} style={styles.buttonSecondary}>
+          По умолчанию
+        </button>
+      </div>
+      <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+        Нужны колонки «{COLUMNS.name}», «{COLUMNS.class}», «{COLUMNS.district}» и колонки цен вида «Цена …».
+      </p>
+    </div>
+  );
+}
+
+function DataQualityPanel({ issues, unmatchedDistricts = [], source }) {
+  const types = Object.keys(ISSUE_TYPES).filter(type => issues.some(i => i.type === type));
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const visible = selectedTypes.length > 0 ? issues.filter(i => selectedTypes.includes(i.type)) : issues;
+  const errors = issues.filter(i => i.severity === 'error').length;
+  // У Google Sheets номер строки листа, у файлов и JSON — номер записи
+  const sheetRows = source.type === 'sheets';
+  const cellUrl = (issue) => (sheetRows && source.sheetGid && issue.row ? getSheetEditUrl(source.sheetId, source.sheetGid, issue.row) : null);
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Качество данных</h2>
+      <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '16px' }}>
+        <span style={styles.metricSub}>
+          Ошибок: {errors} • Предупреждений: {issues.length - errors}
+        </span>
+        {source.type === 'sheets' && (
+          <a href={getSheetEditUrl(source.sheetId, source.sheetGid)} target="_blank" rel="noopener noreferrer" style={styles.buttonSecondary}>
+            Открыть лист «{source.sheetName}»
+          </a>
+        )}
+      </div>
+
+      {unmatchedDistricts.length > 0 && (
+        <div style={{ ...styles.warning, marginBottom: '16px' }}>
+          Нераспознанные районы — добавьте вариант написания в справочник DISTRICTS или исправьте таблицу:
+          <ul style={{ margin: '8px 0 0 20px' }}>
+            {unmatchedDistricts.map(u => (
+              <li key={u.value}>
+                «{u.value}» — {u.count} ЖК{u.rows.length > 0 && ` (${sheetRows ? 'строки' : 'записи'} ${u.rows.join(', ')})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {issues.length === 0 ? (
+        <p style={styles.metricSub}>Проблем не найдено ✅</p>
+      ) : (
+        <>
+          <div style={{ marginBottom: '16px' }}>
+            <ChipSelect
+              options={types}
+              selected={selectedTypes}
+              onChange={setSelectedTypes}
+              colors={Object.fromEntries(types.map(t => [t, ISSUE_TYPES[t].severity === 'error' ? '#ef4444' : '#f59e0b']))}
+              labels={Object.fromEntries(types.map(t => [t, `${ISSUE_TYPES[t].label} (${issues.filter(i => i.type === t).length})`]))}
+            />
+          </div>
+          <div style={{ overflowX: 'auto', maxHeight: '500px' }}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>{sheetRows ? 'Строка' : 'Запись'}</th>
+                  <th style={styles.th}>Проблема</th>
+                  <th style={styles.th}>ЖК</th>
+                  <th style={styles.th}>Колонка</th>
+                  <th style={styles.th}>Значение</th>
+                  <th style={styles.th}>Комментарий</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((issue, i) => (
+                  <tr key={i}>
+                    <td style={styles.td}>
+                      {cellUrl(issue) ? (
+                        <a href={cellUrl(issue)} target="_blank" rel="noopener noreferrer" style={{ color: '#60a5fa' }}>{issue.row}</a>
+                      ) : (issue.row ?? '—')}
+                    </td>
+                    <td style={{ ...styles.td, color: issue.severity === 'error' ? '#f87171' : '#fbbf24' }}>{issue.label}</td>
+                    <td style={styles.td}>{issue.name || '—'}</td>
+                    <td style={styles.td}>{issue.column || '—'}</td>
+                    <td style={styles.td}>{isEmptyCell(issue.value) ? '—' : String(issue.value)}</td>
+                    <td style={{ ...styles.td, color: '#94a3b8' }}>{issue.message || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const UNIT_LABELS = { m2: 'за м²', total: 'за квартиру' };
+
+function ExchangeRatesPanel({ rates, onChange, dataset }) {
+  const [fileError, setFileError] = useState(null);
+  const columnMonths = dataset.priceColumns.map((col, i) => ({
+    col,
+    key: parseMonthKey(col),
+    meta: dataset.columnMeta[i],
+  }));
+  const months = [...new Set([...Object.keys(rates), ...columnMonths.map(c => c.key).filter(Boolean)])].sort();
+
+  const setRate = (key, value) => {
+    const next = { ...rates };
+    if (value > 0) next[key] = value;
+    else delete next[key];
+    onChange(next);
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      setFileError(null);
+      onChange(await parseRatesFile(file));
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Курсы валют (сум за 1 USD)</h2>
+      <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '16px' }}>
+        <label style={styles.label}>
+          Загрузить из файла (JSON или CSV «месяц;курс»):
+          <input type="file" accept=".json,.csv,.txt" onChange={e => loadFile(e.target.files[0])} />
+        </label>
+        <button onClick={() => onChange(DEFAULT_EXCHANGE_RATES)} style={styles.buttonSecondary}>
+          Курсы по умолчанию
+        </button>
+        {fileError && <span style={{ color: '#fca5a5', fontSize: '13px' }}>{fileError}</span>}
+      </div>
+      <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+        Для месяца без курса берётся ближайший предыдущий. Курсы по умолчанию ориентировочные — для отчётов загрузите официальные.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: '8px', marginBottom: '20px' }}>
+        {months.map(key => (
+          <label key={key} style={styles.label}>
+            {key}
+            <input
+              type="number"
+              value={rates[key] ?? ''}
+              placeholder={String(rateFor(rates, key) ?? '')}
+              onChange={e => setRate(key, Number(e.target.value))}
+              style={{ ...styles.input, width: '90px' }}
+            />
+          </label>
+        ))}
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Колонка</th>
+            <th style={styles.th}>Месяц</th>
+            <th style={styles.th}>Курс</th>
+            <th style={styles.th}>Валюта в заголовке</th>
+            <th style={styles.th}>Единица в заголовке</th>
+          </tr>
+        </thead>
+        <tbody>
+          {columnMonths.map(({ col, key, meta }) => (
+            <tr key={col}>
+              <td style={styles.td}>{col}</td>
+              <td style={styles.td}>{key || 'не распознан'}</td>
+              <td style={styles.td}>{meta.rate?.toLocaleString('ru-RU')}</td>
+              <td style={styles.td}>{meta.currency || 'по ячейке'}</td>
+              <td style={styles.td}>{meta.unit ? UNIT_LABELS[meta.unit] : 'по ячейке'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!dataset.areaColumn && (
+        <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+          В таблице нет колонки «Площадь» — цены за квартиру не могут быть пересчитаны за м².
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Процентиль значения внутри выборки (доля значений не выше него)
+function percentileRank(values, value) {
+  if (values.length === 0) return null;
+  return values.filter(v => v <= value).length / values.length;
+}
+
+function formatSnapshotDate(snapshot) {
+  return new Date(snapshot.savedAt).toLocaleString('ru-RU');
+}
+
+function ChangesPanel({ snapshots, rates, viewedSnapshot, onView }) {
+  const { currency, money } = useMoney();
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [selectedTypes, setSelectedTypes] = useState([]);
+
+  // По умолчанию сравниваются два последних снимка
+  const from = snapshots.find(snap => snap.id === fromId) || snapshots[snapshots.length - 2];
+  const to = snapshots.find(snap => snap.id === toId) || snapshots[snapshots.length - 1];
+
+  const diff = useMemo(() => {
+    if (!from || !to) return null;
+    const prepare = (snap) => convertDataset(parseDataset(snap.data, rates), currency, rates);
+    return diffDatasets(prepare(from), prepare(to));
+  }, [from, to, rates, currency]);
+
+  if (snapshots.length < 2) {
+    return (
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Изменения</h2>
+        <p style={styles.metricSub}>
+          Снимок данных сохраняется при каждой загрузке, если таблица изменилась. Сохранено снимков: {snapshots.length}.
+          Для сравнения нужно минимум два.
+        </p>
+      </div>
+    );
+  }
+
+  const types = diff ? Object.keys(CHANGE_TYPES).filter(type => diff.changes.some(c => c.type === type)) : [];
+  const visible = diff ? diff.changes.filter(c => selectedTypes.length === 0 || selectedTypes.includes(c.type)) : [];
+  const snapshotSelect = (value, onChange) => (
+    <select value={value || ''} onChange={e => onChange(e.target.value)} style={styles.input}>
+      {snapshots.map(snap => <option key={snap.id} value={snap.id}>{formatSnapshotDate(snap)}</option>)}
+    </select>
+  );
+  const describe = (c) => {
+    if (['class', 'district', 'developer'].includes(c.type)) return [c.from || '—', c.to || '—'];
+    return [c.from === undefined ? '—' : money(c.from), c.to === undefined ? '—' : money(c.to)];
+  };
+
+  return (
+    <>
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Изменения между снимками</h2>
+        <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '16px' }}>
+          <label style={styles.label}>Было: {snapshotSelect(from?.id, setFromId)}</label>
+          <label style={styles.label}>Стало: {snapshotSelect(to?.id, setToId)}</label>
+        </div>
+
+        {diff && (
+          <>
+            {(diff.addedColumns.length > 0 || diff.removedColumns.length > 0) && (
+              <p style={{ ...styles.metricSub, marginBottom: '12px' }}>
+                {diff.addedColumns.length > 0 && `Новые месяцы: ${diff.addedColumns.join(', ')}. `}
+                {diff.removedColumns.length > 0 && `Убраны месяцы: ${diff.removedColumns.join(', ')}.`}
+              </p>
+            )}
+            {diff.changes.length === 0 ? (
+              <p style={styles.metricSub}>Изменений по ЖК нет</p>
+            ) : (
+              <>
+                <div style={{ marginBottom: '16px' }}>
+                  <ChipSelect
+                    options={types}
+                    selected={selectedTypes}
+                    onChange={setSelectedTypes}
+                    colors={Object.fromEntries(types.map(t => [t, CHANGE_TYPES[t].color]))}
+                    labels={Object.fromEntries(types.map(t => [t, `${CHANGE_TYPES[t].label} (${diff.changes.filter(c => c.type === t).length})`]))}
+                  />
+                </div>
+                <div style={{ overflowX: 'auto', maxHeight: '500px' }}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>ЖК</th>
+                        <th style={styles.th}>Изменение</th>
+                        <th style={styles.th}>Было</th>
+                        <th style={styles.th}>Стало</th>
+                        <th style={styles.th}>Разница</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {visible.map((c, i) => {
+                        const [was, now] = describe(c);
+                        return (
+                          <tr key={i}>
+                            <td style={styles.td}>{c.name}</td>
+                            <td style={{ ...styles.td, color: c.color }}>
+                              {c.label}{c.column && <span style={{ color: '#94a3b8' }}> ({c.column})</span>}
+                            </td>
+                            <td style={styles.td}>{was}</td>
+                            <td style={styles.td}>{now}</td>
+                            <td style={{ ...styles.td, color: c.delta === undefined ? undefined : c.delta >= 0 ? '#4ade80' : '#f87171' }}>
+                              {c.delta === undefined ? '' : `${c.delta >= 0 ? '+' : '−'}${money(Math.abs(c.delta))} (${formatSignedPercent(c.change)})`}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Снимки ({snapshots.length})</h2>
+        <p style={{ ...styles.metricSub, marginBottom: '12px' }}>
+          Откройте снимок, чтобы увидеть все вкладки такими, какими они были на эту дату.
+        </p>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Дата</th>
+              <th style={styles.th}>ЖК</th>
+              <th style={styles.th}>Месяцев цен</th>
+              <th style={styles.th}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...snapshots].reverse().map(snap => (
+              <tr key={snap.id}>
+                <td style={styles.td}>{formatSnapshotDate(snap)}</td>
+                <td style={styles.td}>{snap.data.rows.length}</td>
+                <td style={styles.td}>{findPriceColumns(snap.data.headers).length}</td>
+                <td style={styles.td}>
+                  {viewedSnapshot?.id === snap.id ? (
+                    <button onClick={() => onView(null)} style={{ ...styles.button, padding: '6px 12px' }}>Открыт · вернуться</button>
+                  ) : (
+                    <button onClick={() => onView(snap)} style={{ ...styles.buttonSecondary, padding: '6px 12px' }}>Открыть</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+function describeWatch(watch, money) {
+  const condition = WATCH_CONDITIONS[watch.condition];
+  if (condition.unit === '%') return `${condition.label} ${watch.threshold}%`;
+  if (condition.unit === 'money') return `${condition.label} ${money(watch.threshold)}`;
+  return condition.label;
+}
+
+function WatchlistPanel({ watchlist, alerts, targets, onAdd, onRemove, onMarkRead, onClearAlerts }) {
+  const { currency, money } = useMoney();
+  const [kind, setKind] = useState('jk');
+  const [target, setTarget] = useState('');
+  const [condition, setCondition] = useState('priceDown');
+  const [threshold, setThreshold] = useState('5');
+  const [permission, setPermission] = useState(typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+  const conditions = Object.keys(WATCH_CONDITIONS).filter(c => WATCH_CONDITIONS[c].kinds.includes(kind));
+  const unit = WATCH_CONDITIONS[condition].unit;
+  const value = parseFloat(threshold);
+  const canAdd = target && (unit === null || (Number.isFinite(value) && value > 0));
+
+  const changeKind = (next) => {
+    setKind(next);
+    setTarget('');
+    if (!WATCH_CONDITIONS[condition].kinds.includes(next)) setCondition('priceDown');
+  };
+
+  const add = () => {
+    onAdd({ kind, target, condition, threshold: unit === null ? null : value, currency });
+    setTarget('');
+  };
+
+  const requestPermission = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  // Для уровней цены — в валюте, в которой задан порог
+  const watchMoney = (watch) => (v) => formatMoney(v, watch.currency);
+
+  return (
+    <>
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Список наблюдения</h2>
+        <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+          Условия проверяются при каждом обновлении данных. Изменение цены считается от цены на момент добавления
+          или последнего оповещения, уровень прогноза — по пересечению с прошлой проверки.
+        </p>
+        <div style={{ ...styles.buttonGroup, alignItems: 'flex-end', marginBottom: '16px' }}>
+          <label style={styles.label}>
+            Что
+            <select value={kind} onChange={e => changeKind(e.target.value)} style={styles.input}>
+              {Object.entries(WATCH_KINDS).map(([id, k]) => <option key={id} value={id}>{k.label}</option>)}
+            </select>
+          </label>
+          <label style={styles.label}>
+            {WATCH_KINDS[kind].label}
+            <select value={target} onChange={e => setTarget(e.target.value)} style={styles.input}>
+              <option value="">— выберите —</option>
+              {targets[kind].map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+          <label style={styles.label}>
+            Условие
+            <select value={condition} onChange={e => setCondition(e.target.value)} style={styles.input}>
+              {conditions.map(c => <option key={c} value={c}>{WATCH_CONDITIONS[c].label}</option>)}
+            </select>
+          </label>
+          {unit !== null && (
+            <label style={styles.label}>
+              {unit === '%' ? 'Порог, %' : `Уровень, ${currency === 'UZS' ? 'сум' : '$'} за м²`}
+              <input type="number" min="0" value={threshold} onChange={e => setThreshold(e.target.value)} style={{ ...styles.input, width: '140px' }} />
+            </label>
+          )}
+          <button onClick={add} disabled={!canAdd} style={{ ...styles.button, opacity: canAdd ? 1 : 0.5 }}>
+            Добавить
+          </button>
+        </div>
+
+        {permission === 'default' && (
+          <button onClick={requestPermission} style={{ ...styles.buttonSecondary, marginBottom: '16px' }}>
+            Разрешить уведомления браузера
+          </button>
+        )}
+        {permission === 'denied' && (
+          <p style={{ ...styles.metricSub, marginBottom: '16px' }}>Уведомления браузера запрещены — оповещения видны только в приложении.</p>
+        )}
+
+        {watchlist.length === 0 ? (
+          <p style={styles.metricSub}>Список пуст</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Объект</th>
+                <th style={styles.th}>Условие</th>
+                <th style={styles.th}>База</th>
+                <th style={styles.th}>Сейчас</th>
+                <th style={styles.th}>Прогноз, 12 мес</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {watchlist.map(watch => {
+                const m = watchMoney(watch);
+                return (
+                  <tr key={watch.id}>
+                    <td style={styles.td}>
+                      <span style={{ color: '#94a3b8' }}>{WATCH_KINDS[watch.kind].label}:</span> {watch.target}
+                    </td>
+                    <td style={styles.td}>{describeWatch(watch, m)}</td>
+                    <td style={styles.td}>{watch.baseline ? `${m(watch.baseline.price)} (${watch.baseline.at})` : '—'}</td>
+                    <td style={styles.td}>{watch.last?.present ? m(watch.last.price) : 'нет в таблице'}</td>
+                    <td style={styles.td}>{watch.last?.present ? m(watch.last.forecast) : '—'}</td>
+                    <td style={styles.td}>
+                      <button onClick={() => onRemove(watch.id)} style={{ ...styles.buttonSecondary, padding: '6px 12px' }}>Убрать</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={styles.card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>История оповещений ({alerts.length})</h2>
+          <div style={styles.buttonGroup}>
+            {alerts.some(a => !a.read) && (
+              <button onClick={onMarkRead} style={styles.buttonSecondary}>Отметить прочитанными</button>
+            )}
+            {alerts.length > 0 && (
+              <button onClick={onClearAlerts} style={styles.buttonSecondary}>Очистить историю</button>
+            )}
+          </div>
+        </div>
+        {alerts.length === 0 ? (
+          <p style={styles.metricSub}>Оповещений пока не было</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Когда</th>
+                <th style={styles.th}>Объект</th>
+                <th style={styles.th}>Что произошло</th>
+              </tr>
+            </thead>
+            <tbody>
+              {alerts.map(alert => (
+                <tr key={alert.id} style={alert.read ? undefined : { background: 'rgba(251, 191, 36, 0.08)' }}>
+                  <td style={styles.td}>{new Date(alert.at).toLocaleString('ru-RU')}</td>
+                  <td style={styles.td}>{WATCH_KINDS[alert.kind].label}: {alert.target}</td>
+                  <td style={styles.td}>{alert.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </>
+  );
+}
+
+function InvestmentCalculator({ analysis, model }) {
+  const { money, moneyShort } = useMoney();
+  const [inputs, setInputs] = useState(readStoredInvestment);
+  const [kind, setKind] = useState('class');
+  const [target, setTarget] = useState(() => Object.keys(analysis.classStats)[0]);
+
+  useEffect(() => {
+    localStorage.setItem(INVESTMENT_STORAGE_KEY, JSON.stringify(inputs));
+  }, [inputs]);
+
+  const targets = kind === 'jk'
+    ? analysis.allJK.map(jk => jk.name).sort((a, b) => a.localeCompare(b, 'ru'))
+    : Object.keys(analysis.classStats);
+  // После смены фильтров выбранного объекта может не оказаться в группе
+  const activeTarget = targets.includes(target) ? target : targets[0];
+  const forecast = useMemo(
+    () => investmentScenarios(model, analysis, kind, activeTarget, inputs.holdMonths),
+    [model, analysis, kind, activeTarget, inputs.holdMonths]
+  );
+
+  const results = useMemo(() => {
+    if (!forecast) return null;
+    return forecast.scenarios.map(sc => ({ ...sc, result: projectInvestment(forecast.basePrice, sc.forecast, inputs) }));
+  }, [forecast, inputs]);
+
+  const changeKind = (next) => {
+    setKind(next);
+    setTarget(next === 'jk' ? analysis.allJK[0]?.name : Object.keys(analysis.classStats)[0]);
+  };
+
+  // Пока поле редактируется, в нём хранится введённая строка: её можно стереть целиком.
+  // В расчёт попадают только значения в границах поля, при уходе с поля ввод к ним приводится
+  const [drafts, setDrafts] = useState({});
+
+  const setInput = (key, value) => {
+    setDrafts(prev => ({ ...prev, [key]: value }));
+    if (isInvestmentValueInRange(key, value)) setInputs(prev => ({ ...prev, [key]: parseFloat(value) }));
+  };
+
+  const commitInput = (key) => {
+    const number = investmentValue(key, drafts[key]);
+    if (number !== null) setInputs(prev => ({ ...prev, [key]: number }));
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const setHoldMonths = (value) => {
+    const number = investmentValue('holdMonths', value);
+    if (number !== null) setInputs(prev => ({ ...prev, holdMonths: number }));
+  };
+
+  const resetInputs = () => {
+    setInputs(DEFAULT_INVESTMENT);
+    setDrafts({});
+  };
+
+  const chartData = results && results[0].result.timeline.map((point, i) => ({
+    month: point.month,
+    balance: Math.round(point.balance),
+    ...Object.fromEntries(results.map(sc => [sc.id, Math.round(sc.result.timeline[i].equity)])),
+  }));
+  const base = results?.find(sc => sc.id === 'base').result;
+  const formatRatio = (value) => (value === null ? '—' : formatSignedPercent(value));
+
+  return (
+    <>
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Инвестиционный калькулятор</h2>
+        <div style={{ ...styles.buttonGroup, alignItems: 'flex-end', marginBottom: '16px' }}>
+          <label style={styles.label}>
+            Объект
+            <select value={kind} onChange={e => changeKind(e.target.value)} style={styles.input}>
+              <option value="class">Класс</option>
+              <option value="jk">ЖК</option>
+            </select>
+          </label>
+          <label style={styles.label}>
+            {kind === 'jk' ? 'ЖК' : 'Класс'}
+            <select value={activeTarget || ''} onChange={e => setTarget(e.target.value)} style={styles.input}>
+              {targets.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+          <label style={styles.label}>
+            Срок владения
+            <select value={inputs.holdMonths} onChange={e => setHoldMonths(e.target.value)} style={styles.input}>
+              {FORECAST_HORIZONS.map(h => <option key={h} value={h}>{h} мес</option>)}
+            </select>
+          </label>
+        </div>
+        <div style={{ ...styles.buttonGroup, alignItems: 'flex-end' }}>
+          {INVESTMENT_FIELDS.map(field => (
+            <label key={field.key} style={styles.label}>
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                value={drafts[field.key] ?? inputs[field.key]}
+                onChange={e => setInput(field.key, e.target.value)}
+                onBlur={() => commitInput(field.key)}
+                style={{ ...styles.input, width: '120px' }}
+              />
+            </label>
+          ))}
+          <button onClick={resetInputs} style={styles.buttonSecondary}>Сбросить</button>
+        </div>
+        {base && (
+          <p style={{ ...styles.metricSub, marginTop: '16px' }}>
+            Покупка: {money(forecast.basePrice)}/м² × {inputs.area} м² = {money(base.price)} • Взнос {money(base.down)} •
+            Кредит {money(base.loan)} • Платёж {money(base.payment)} в месяц.
+            Прогноз модели дан на {FORECAST_HORIZONS.filter(h => h <= inputs.holdMonths).join(', ')} мес; между горизонтами стоимость интерполируется.
+          </p>
+        )}
+      </div>
+
+      {results && (
+        <>
+          <div style={styles.grid}>
+            {results.map(sc => (
+              <div key={sc.id} style={{ ...styles.metricCard, borderLeft: `4px solid ${sc.color}` }}>
+                <div style={styles.metricLabel}>{sc.label}</div>
+                <div style={{ ...styles.metricValue, color: sc.result.profit >= 0 ? '#4ade80' : '#f87171' }}>
+                  {money(sc.result.profit)}
+                </div>
+                <div style={styles.metricSub}>
+                  ROI {formatRatio(sc.result.roi)} • IRR {formatRatio(sc.result.irr)} годовых
+                </div>
+                <div style={styles.metricSub}>
+                  Продажа через {inputs.holdMonths} мес: {money(sc.result.exitValue)}
+                </div>
+                <div style={styles.metricSub}>
+                  Окупаемость: {sc.result.breakEven === null ? 'не в срок владения' : `${sc.result.breakEven} мес`}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={styles.card}>
+            <h2 style={styles.cardTitle}>Капитал в квартире (стоимость − остаток кредита)</h2>
+            <ResponsiveContainer width="100%" height={350}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                <XAxis dataKey="month" stroke="#94a3b8" />
+                <YAxis stroke="#94a3b8" tickFormatter={moneyShort} domain={['auto', 'auto']} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+                  formatter={(v, name) => [money(v), name]}
+                  labelFormatter={(m) => `Месяц ${m}`}
+                />
+                <Legend />
+                {results.map(sc => (
+                  <Line key={sc.id} type="monotone" dataKey={sc.id} name={sc.label} stroke={sc.color} strokeWidth={sc.id === 'base' ? 3 : 2} dot={false} />
+                ))}
+                <Line type="monotone" dataKey="balance" name="Остаток кредита" stroke="#94a3b8" strokeDasharray="6 4" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div style={styles.card}>
+            <h2 style={styles.cardTitle}>Расчёт по сценариям</h2>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Сценарий</th>
+                  <th style={styles.th}>Рост цены</th>
+                  <th style={styles.th}>Проценты по кредиту</th>
+                  <th style={styles.th}>Аренда</th>
+                  <th style={styles.th}>Вложено</th>
+                  <th style={styles.th}>Прибыль</th>
+                  <th style={styles.th}>ROI</th>
+                  <th style={styles.th}>IRR</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(sc => (
+                  <tr key={sc.id}>
+                    <td style={{ ...styles.td, color: sc.color }}>{sc.label}</td>
+                    <td style={styles.td}>{formatSignedPercent(sc.result.exitValue / sc.result.price - 1)}</td>
+                    <td style={styles.td}>{money(sc.result.totalInterest)}</td>
+                    <td style={styles.td}>{money(sc.result.rentIncome)}</td>
+                    <td style={styles.td}>{money(sc.result.invested)}</td>
+                    <td style={{ ...styles.td, color: sc.result.profit >= 0 ? '#4ade80' : '#f87171' }}>{money(sc.result.profit)}</td>
+                    <td style={styles.td}>{formatRatio(sc.result.roi)}</td>
+                    <td style={styles.td}>{formatRatio(sc.result.irr)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+              Вложено — взнос и все месяцы, когда платёж превышал аренду за вычетом расходов. ROI — прибыль к вложенному,
+              IRR — по помесячному потоку с продажей в последний месяц.
+            </p>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+const VALUE_SORTS = {
+  residual: { label: 'По отклонению от оценки' },
+  trend: { label: 'По тренду к сегменту' },
 };
 
+function ValueFinderPanel({ marketAnalysis, analysis, onSelectJK }) {
+  const { money } = useMoney();
+  const [sort, setSort] = useState('residual');
+  const [flags, setFlags] = useState(['under']);
+
+  const priceModel = useMemo(() => fitPriceModel(marketAnalysis.allJK), [marketAnalysis]);
+
+  const rows = useMemo(() => analysis.allJK.map(jk => ({
+    jk,
+    ...priceModel.assess(jk),
+    segment: segmentTrend(jk, marketAnalysis),
+  })), [analysis, marketAnalysis, priceModel]);
+
+  const visible = rows
+    .filter(r => flags.length === 0 || flags.includes(r.flag))
+    .sort((a, b) => (sort === 'residual' ? a.residual - b.residual : b.segment.relative - a.segment.relative));
+  const counts = Object.fromEntries(Object.keys(VALUE_FLAGS).map(f => [f, rows.filter(r => r.flag === f).length]));
+
+  return (
+    <div style={styles.card}>
+      <h2 style={styles.cardTitle}>Выгодные предложения</h2>
+      <p style={{ ...styles.metricSub, marginBottom: '16px' }}>
+        Оценка цены по аналогам: {priceModel.factors.map(f => f.label.toLowerCase()).join(', ')} • {priceModel.count} ЖК •
+        R² = {priceModel.r2 === null ? '—' : priceModel.r2.toFixed(2)}. Отклонение больше {Math.round(VALUE_FLAG_THRESHOLD * 100)}% — повод
+        присмотреться: низкая цена может объясняться тем, чего нет в таблице (отделка, этап стройки).
+      </p>
+
+      <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '16px' }}>
+        <ChipSelect
+          options={Object.keys(VALUE_FLAGS)}
+          selected={flags}
+          onChange={setFlags}
+          colors={Object.fromEntries(Object.entries(VALUE_FLAGS).map(([id, f]) => [id, f.color]))}
+          labels={Object.fromEntries(Object.entries(VALUE_FLAGS).map(([id, f]) => [id, `${f.label} (${counts[id]})`]))}
+        />
+        <select value={sort} onChange={e => setSort(e.target.value)} style={styles.input}>
+          {Object.entries(VALUE_SORTS).map(([id, s]) => <option key={id} value={id}>{s.label}</option>)}
+        </select>
+      </div>
+
+      <div style={{ overflowX: 'auto', maxHeight: '600px' }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>ЖК</th>
+              <th style={styles.th}>Цена</th>
+              <th style={styles.th}>Оценка по аналогам</th>
+              <th style={styles.th}>Отклонение</th>
+              <th style={styles.th}>Тренд к сегменту</th>
+              <th style={styles.th}>Из чего складывается оценка</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(r => (
+              <tr key={r.jk.name} onClick={() => onSelectJK(r.jk.name)} style={{ cursor: 'pointer' }}>
+                <td style={styles.td}>
+                  {r.jk.name}
+                  <div style={{ fontSize: '12px', color: '#94a3b8' }}>{r.jk.class} • {r.jk.district || '—'}</div>
+                </td>
+                <td style={styles.td}>{money(r.jk.lastPrice)}</td>
+                <td style={styles.td}>{money(r.fair)}</td>
+                <td style={{ ...styles.td, color: VALUE_FLAGS[r.flag].color }}>
+                  {formatSignedPercent(r.residual)}
+                  <div style={{ fontSize: '12px' }}>{VALUE_FLAGS[r.flag].label}</div>
+                </td>
+                <td style={{ ...styles.td, color: r.segment.relative >= 0 ? '#4ade80' : '#f87171' }}>
+                  {formatSignedPercent(r.segment.relative)}
+                  <div style={{ fontSize: '12px', color: '#94a3b8' }}>к {r.segment.label} ({formatSignedPercent(r.segment.trend)})</div>
+                </td>
+                <td style={{ ...styles.td, fontSize: '12px' }}>
+                  {r.drivers.map(d => (
+                    <div key={d.factor}>
+                      {d.label}{' '}
+                      <span style={{ color: d.effect >= 0 ? '#fbbf24' : '#60a5fa' }}>{formatSignedPercent(d.effect)}</span>
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+        Вклад фактора — насколько он сдвигает оценку относительно среднего ЖК в таблице. Отклонение — фактическая цена к оценке.
+      </p>
+    </div>
+  );
+}
+
+function CompareView({ names, allJK, analysis, model, onRemove, onClear, onOpen }) {
+  const { money, moneyShort } = useMoney();
+  const [mode, setMode] = useState('absolute');
+  const [copied, setCopied] = useState(null);
+  const jks = names.map(name => allJK.find(jk => jk.name === name)).filter(Boolean);
+  const missing = names.filter(name => !allJK.some(jk => jk.name === name));
+  const color = (i) => DEVELOPER_PALETTE[i % DEVELOPER_PALETTE.length];
+
+  // Нормированный ряд — изменение от первой известной цены ЖК
+  const { timeAxis } = analysis;
+  const chartData = analysis.priceColumns.map((col, index) => ({
+    t: timeAxis.times[index],
+    ...Object.fromEntries(jks.map(jk => {
+      const price = priceAt(jk, index);
+      if (price === null) return [jk.name, null];
+      return [jk.name, mode === 'absolute' ? price : price / jk.firstPrice - 1];
+    })),
+  }));
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied('Ссылка скопирована');
+    } catch (e) {
+      setCopied('Скопируйте адрес из строки браузера');
+    }
+  };
+
+  if (jks.length === 0) {
+    return (
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>Сравнение ЖК</h2>
+        <p style={styles.metricSub}>
+          {missing.length > 0
+            ? `ЖК из ссылки не найдены в данных: ${missing.join(', ')}`
+            : 'Отметьте ЖК в таблице «Все ЖК», чтобы сравнить их.'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div style={styles.card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Сравнение ЖК ({jks.length})</h2>
+          <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+            <div style={{ display: 'inline-flex' }}>
+              {[['absolute', 'Цена'], ['normalized', 'Изменение, %']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setMode(key)}
+                  style={{ ...styles.tab, ...(mode === key ? styles.tabActive : styles.tabInactive), padding: '8px 14px' }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button onClick={copyLink} style={styles.buttonSecondary}>Скопировать ссылку</button>
+            <button onClick={onClear} style={styles.buttonSecondary}>Очистить</button>
+            {copied && <span style={styles.metricSub}>{copied}</span>}
+          </div>
+        </div>
+        {missing.length > 0 && (
+          <p style={{ ...styles.metricSub, marginBottom: '12px' }}>Не найдены в данных: {missing.join(', ')}</p>
+        )}
+        <div style={{ height: '350px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="t"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                ticks={timeAxis.times}
+                tickFormatter={timeAxis.format}
+                stroke="#94a3b8"
+              />
+              <YAxis
+                stroke="#94a3b8"
+                domain={['auto', 'auto']}
+                tickFormatter={mode === 'absolute' ? moneyShort : (v) => `${(v * 100).toFixed(0)}%`}
+              />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+                labelFormatter={timeAxis.format}
+                formatter={(v, name) => [mode === 'absolute' ? money(v) : formatSignedPercent(v), name]}
+              />
+              <Legend />
+              {jks.map((jk, i) => (
+                <Line key={jk.name} type="monotone" dataKey={jk.name} stroke={color(i)} strokeWidth={3} dot={{ r: 4 }} connectNulls />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        {mode === 'normalized' && (
+          <p style={{ ...styles.metricSub, marginTop: '12px' }}>Изменение считается от первой известной цены каждого ЖК.</p>
+        )}
+      </div>
+
+      <div style={styles.grid}>
+        {jks.map((jk, i) => {
+          const activity = analysis.classStats[jk.class]?.activity.value ?? DEFAULT_MARKET_ACTIVITY;
+          const forecast = model.forecast(jk.lastPrice, jk.class, jk.trend, activity, FORECAST_HORIZONS, jkHistory(jk));
+          return (
+            <div key={jk.name} style={{ ...styles.metricCard, borderTop: `4px solid ${color(i)}` }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+                <div
+                  onClick={() => onOpen(jk.name)}
+                  style={{ fontSize: '18px', fontWeight: '600', color: '#f1f5f9', cursor: 'pointer' }}
+                >
+                  {jk.name}
+                </div>
+                <button onClick={() => onRemove(jk.name)} style={{ ...styles.buttonSecondary, padding: '2px 8px' }}>✕</button>
+              </div>
+              <div style={{ margin: '8px 0' }}>
+                <span style={{ ...styles.badge, backgroundColor: `${CLASS_COLORS[jk.class]}30`, color: CLASS_COLORS[jk.class] }}>
+                  {jk.class}
+                </span>
+              </div>
+              <div style={styles.metricSub}>Район: {jk.district || '—'}</div>
+              <div style={styles.metricSub}>Застройщик: {jk.developer || '—'}</div>
+              <div style={{ ...styles.metricValue, marginTop: '8px' }}>{money(jk.lastPrice)}</div>
+              <div style={{ ...styles.metricSub, color: jk.trend >= 0 ? '#4ade80' : '#f87171' }}>
+                Тренд: {jk.prices.length > 1 ? `${jk.trend >= 0 ? '+' : ''}${jk.trendPercent}% в год` : '—'}
+              </div>
+              <table style={{ ...styles.table, marginTop: '8px' }}>
+                <tbody>
+                  {forecast.map(f => (
+                    <tr key={f.months}>
+                      <td style={styles.td}>+{f.months} мес</td>
+                      <td style={styles.td}>{money(f.price)}</td>
+                      <td style={{ ...styles.td, color: parseFloat(f.change) >= 0 ? '#4ade80' : '#f87171' }}>{formatSignedPercent(parseFloat(f.change) / 100)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
+
+function JKDetailView({ jk, analysis, model, onBack }) {
+  const { money, moneyShort } = useMoney();
+  const classStats = analysis.classStats[jk.class];
+  const districtStats = jk.district ? analysis.districtStats[jk.district] : null;
+  const activity = classStats.activity.value;
+  const forecast = model.forecast(jk.lastPrice, jk.class, jk.trend, activity, FORECAST_HORIZONS, jkHistory(jk));
+  const percentile = percentileRank(classStats.jks.map(j => j.lastPrice), jk.lastPrice);
+
+  // История и прогноз на одной оси времени: прогнозная линия начинается с последней фактической точки
+  const { timeAxis } = analysis;
+  const lastTime = timeAxis.times[0] + jk.priceMonths[jk.priceMonths.length - 1];
+  const chartData = [
+    ...jk.prices.map((price, i) => ({
+      t: timeAxis.times[0] + jk.priceMonths[i],
+      price,
+      forecast: i === jk.prices.length - 1 ? price : undefined,
+    })),
+    ...forecast.map(f => ({ t: lastTime + f.months, forecast: f.price })),
+  ];
+
+  const comparisons = [
+    { label: `Средняя по классу «${jk.class}»`, avg: classStats.avg },
+    districtStats && { label: `Средняя по району «${jk.district}»`, avg: districtStats.avg },
+  ].filter(Boolean);
+
+  return (
+    <>
+      <div style={styles.card}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+          <div>
+            <h2 style={{ ...styles.cardTitle, marginBottom: '4px' }}>{jk.name}</h2>
+            <div style={styles.metricSub}>
+              <span style={{ ...styles.badge, backgroundColor: `${CLASS_COLORS[jk.class]}30`, color: CLASS_COLORS[jk.class], marginRight: '8px' }}>
+                {jk.class}
+              </span>
+              {jk.district || 'Район не указан'}
+            </div>
+          </div>
+          <button onClick={onBack} style={styles.buttonSecondary}>← Все ЖК</button>
+        </div>
+
+        <div style={styles.grid}>
+          <div style={styles.metricCard}>
+            <div style={styles.metricLabel}>Текущая цена</div>
+            <div style={styles.metricValue}>{money(jk.lastPrice)}</div>
+            <div style={{ ...styles.metricSub, color: jk.trend >= 0 ? '#4ade80' : '#f87171' }}>
+              Тренд: {jk.prices.length > 1 ? `${jk.trend >= 0 ? '+' : ''}${jk.trendPercent}% в год` : '—'}
+            </div>
+          </div>
+          <div style={styles.metricCard}>
+            <div style={styles.metricLabel}>Процентиль в классе</div>
+            <div style={styles.metricValue}>{percentile === null ? '—' : `${Math.round(percentile * 100)}%`}</div>
+            <div style={styles.metricSub}>не дешевле {Math.round((percentile || 0) * classStats.count)} из {classStats.count} ЖК класса</div>
+          </div>
+          {comparisons.map(c => {
+            const diff = (jk.lastPrice - c.avg) / c.avg;
+            return (
+              <div key={c.label} style={styles.metricCard}>
+                <div style={styles.metricLabel}>{c.label}</div>
+                <div style={styles.metricValue}>{money(c.avg)}</div>
+                <div style={{ ...styles.metricSub, color: diff >= 0 ? '#fbbf24' : '#4ade80' }}>
+                  ЖК {diff >= 0 ? 'дороже' : 'дешевле'} на {Math.abs(diff * 100).toFixed(1)}%
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div style={styles.card}>
+        <h2 style={styles.cardTitle}>История цены и прогноз</h2>
+        <div style={{ height: '350px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="t"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                ticks={chartData.map(p => p.t)}
+                tickFormatter={timeAxis.format}
+                stroke="#94a3b8"
+              />
+              <YAxis stroke="#94a3b8" tickFormatter={moneyShort} domain={['auto', 'auto']} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
+                labelFormatter={timeAxis.format}
+                formatter={(v, name) => [money(v), name]}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="price" name="Факт" stroke={CLASS_COLORS[jk.class] || '#6b7280'} strokeWidth={3} dot={{ r: 5 }} />
+              <Line type="monotone" dataKey="forecast" name="Прогноз" stroke="#94a3b8" strokeDasharray="6 4" strokeWidth={2} dot={{ r: 4 }} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <table style={{ ...styles.table, marginTop: '16px' }}>
+          <thead>
+            <tr>
+              {forecast.map(f => (
+                <th key={f.months} style={styles.th}>
+                  +{f.months} мес{timeAxis.dated && ` (${formatMonthNumber(lastTime + f.months)})`}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              {forecast.map(f => (
+                <td key={f.months} style={styles.td}>
+                  {money(f.price)}
+                  <span style={{ color: parseFloat(f.change) >= 0 ? '#4ade80' : '#f87171', marginLeft: '6px', fontSize: '12px' }}>
+                    {formatSignedPercent(parseFloat(f.change) / 100)}
+                  </span>
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+        <p style={{ ...styles.metricSub, marginTop: '12px' }}>
+          Прогноз по собственному тренду ЖК и активности рынка класса ({activity.toFixed(2)}).
+        </p>
+      </div>
+    </>
+  );
+}
+
 // ==========================================
 // ГЛАВНЫЙ КОМПОНЕНТ
 // ==========================================
 export default function TashkentForecastApp() {
   const [loading, setLoading] = useState(true);
+  const [source, setSource] = useState(readStoredDataSource);
+  const [showSourcePanel, setShowSourcePanel] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [staleError, setStaleError] = useState(null);
   const [error, setError] = useState(null);
   const [data, setData] = useState(null);
-  const [activeTab, setActiveTab] = useState('overview');
+  const [activeTab, setActiveTab] = useState(() => (readCompareFromUrl().length > 0 ? 'compare' : 'overview'));
   const [lastUpdate, setLastUpdate] = useState(null);
+  const [tskParams, setTskParams] = useState(null);
+  const [training, setTraining] = useState(null);
+  const [trainingError, setTrainingError] = useState(null);
+  const [holdoutMonths, setHoldoutMonths] = useState(1);
+  const [tuneMemberships, setTuneMemberships] = useState(false);
+  const [selectedJK, setSelectedJK] = useState(null);
+  const [compareNames, setCompareNames] = useState(readCompareFromUrl);
+  const [snapshots, setSnapshots] = useState([]);
+  const [viewedSnapshot, setViewedSnapshot] = useState(null);
+  const [watchlist, setWatchlist] = useState(() => readStoredList(WATCHLIST_STORAGE_KEY));
+  const [alerts, setAlerts] = useState(() => readStoredList(ALERTS_STORAGE_KEY));
+  const [filters, setFilters] = useState(readFiltersFromUrl);
+  const [currency, setCurrency] = useState(() => {
+    const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return CURRENCIES[stored] ? stored : 'USD';
+  });
+  const [rates, setRates] = useState(readStoredRates);
+  const [showRatesPanel, setShowRatesPanel] = useState(false);
+  const [forecastGranularity, setForecastGranularity] = useState('class');
+  const [aggregation, setAggregation] = useState(readStoredAggregation);
+  const [indexBase, setIndexBase] = useState(0);
 
-  const model = useMemo(() => new FuzzyTSKModel(), []);
+  const [modelId, setModelId] = useState(() => {
+    const stored = localStorage.getItem(FORECAST_MODEL_STORAGE_KEY);
+    return FORECAST_MODELS[stored] ? stored : 'tsk';
+  });
 
-  const loadData = async () => {
-    setLoading(true);
+  const tskModel = useMemo(() => new FuzzyTSKModel(tskParams || DEFAULT_TSK_PARAMS), [tskParams]);
+  const model = useMemo(() => createForecastModel(modelId, tskModel), [modelId, tskModel]);
+
+  // Если данные уже есть (в т.ч. из кэша), обновляем их в фоне и при ошибке оставляем на экране.
+  // Источник переключается только после успешной загрузки: до тех пор на экране данные прежнего
+  const loadData = async (nextSource = source, { hasFallback = Boolean(data) } = {}) => {
+    const switching = snapshotKey(nextSource) !== snapshotKey(source);
+    if (hasFallback) setRefreshing(true);
+    else setLoading(true);
     setError(null);
     
     try {
-      console.log('🔄 Загрузка данных...');
-      
-      const response = await fetch(getSheetUrl());
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      console.log('🔄 Загрузка данных:', describeDataSource(nextSource));
       
-      const text = await response.text();
-      const parsed = parseGoogleSheetsResponse(text);
-      if (!parsed) throw new Error('Не удалось распарсить данные');
+      const parsed = await DATA_SOURCES[nextSource.type].load(nextSource);
+      console.log('📊 Загружено строк:', parsed.rows.length);
       
+      const updatedAt = new Date().toLocaleString('ru-RU');
+      setSource(nextSource);
+      storeDataSource(nextSource);
       setData(parsed);
-      setLastUpdate(new Date().toLocaleString('ru-RU'));
+      setLastUpdate(updatedAt);
+      setStaleError(null);
       console.log('✅ Данные загружены!');
+
+      const key = dataSourceKey(nextSource);
+      if (key) writeCachedDataset({ key, data: parsed, lastUpdate: updatedAt });
+      // Открытый снимок относится к прежнему источнику и закрывал бы новые данные
+      if (switching) setViewedSnapshot(null);
+      setSnapshots(await saveSnapshot(snapshotKey(nextSource), parsed, updatedAt));
       
     } catch (err) {
       console.error('❌ Ошибка:', err);
-      setError(err.message);
+      const message = switching ? `${describeDataSource(nextSource)}: ${err.message}` : err.message;
+      if (hasFallback) setStaleError(message);
+      else setError(message);
     } finally {
       setLoading(false);
+      setRefreshing(false);
     }
   };
 
   useEffect(() => {
-    loadData();
+    (async () => {
+      const cached = await readCachedDataset();
+      if (cached && cached.key === dataSourceKey(source)) {
+        console.log('💾 Показаны данные из кэша от', cached.lastUpdate);
+        setData(cached.data);
+        setLastUpdate(cached.lastUpdate);
+        setLoading(false);
+        loadData(source, { hasFallback: true });
+      } else {
+        loadData(source, { hasFallback: false });
+      }
+    })();
   }, []);
 
-  const analysis = useMemo(() => {
-    if (!data) return null;
-    
-    const { headers, rows } = data;
-    const priceColumns = findPriceColumns(headers);
-    
-    console.log('🔍 Колонки с ценами:', priceColumns);
-    
-    if (priceColumns.length === 0) {
-      console.error('❌ Не найдены колонки с ценами!');
-      return null;
-    }
+  // Снимки текущего источника доступны сразу, даже если данные открыты из кэша без сети
+  const currentSnapshotKey = snapshotKey(source);
+  useEffect(() => {
+    let cancelled = false;
+    listSnapshots(currentSnapshotKey).then(list => {
+      if (!cancelled) setSnapshots(list);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentSnapshotKey]);
 
-    const byClass = {};
-    const byDistrict = {};
-    const allJK = [];
+  useEffect(() => {
+    writeFiltersToUrl(filters);
+  }, [filters]);
 
-    rows.forEach((row, i) => {
-      const name = row[COLUMNS.name];
-      const classRaw = row[COLUMNS.class];
-      const districtRaw = row[COLUMNS.district];
-      
-      if (!name) return;
-      
-      const cls = normalizeClass(classRaw);
-      if (!cls) {
-        console.log(`⚠️ Пропущен ${name}: неизвестный класс "${classRaw}"`);
-        return;
-      }
-      
-      const district = normalizeDistrict(districtRaw);
-      
-      const prices = priceColumns
-        .map(col => ({ col, price: parsePrice(row[col]) }))
-        .filter(p => p.price !== null && p.price > 0);
-      
-      if (prices.length === 0) return;
-      
-      const firstPrice = prices[0].price;
-      const lastPrice = prices[prices.length - 1].price;
-      const trend = prices.length > 1 ? (lastPrice - firstPrice) / firstPrice : 0;
-      
-      // Логируем все ЖК
-      console.log(`📋 ${name}: класс="${classRaw}" -> ${cls}, цена=${lastPrice}`);
-
-      const jk = {
-        name,
-        class: cls,
-        district,
-        prices: prices.map(p => p.price),
-        priceLabels: prices.map(p => p.col.replace('Цена ', '')),
-        firstPrice,
-        lastPrice,
-        trend,
-        trendPercent: (trend * 100).toFixed(1)
-      };
-      
-      allJK.push(jk);
+  useEffect(() => {
+    writeCompareToUrl(compareNames);
+  }, [compareNames]);
 
-      if (!byClass[cls]) byClass[cls] = [];
-      byClass[cls].push(jk);
+  const toggleCompare = (name) => setCompareNames(names => (
+    names.includes(name) ? names.filter(n => n !== name) : [...names, name].slice(0, MAX_COMPARE)
+  ));
 
-      if (district) {
-        if (!byDistrict[district]) byDistrict[district] = [];
-        byDistrict[district].push(jk);
-      }
-    });
+  useEffect(() => {
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+  }, [currency]);
 
-    // Логируем количество по классам
-    console.log('📊 Итого по классам:');
-    Object.entries(byClass).forEach(([cls, jks]) => {
-      console.log(`   ${cls}: ${jks.length} ЖК ->`, jks.map(j => j.name));
-    });
+  useEffect(() => {
+    localStorage.setItem(FORECAST_MODEL_STORAGE_KEY, modelId);
+  }, [modelId]);
 
-    const classStats = {};
-    Object.entries(byClass).forEach(([cls, jks]) => {
-      const lastPrices = jks.map(j => j.lastPrice);
-      const avg = Math.round(lastPrices.reduce((a, b) => a + b, 0) / lastPrices.length);
-      const min = Math.min(...lastPrices);
-      const max = Math.max(...lastPrices);
-      const avgTrend = jks.reduce((a, j) => a + j.trend, 0) / jks.length;
-      
-      classStats[cls] = { count: jks.length, avg, min, max, avgTrend, jks };
-    });
+  useEffect(() => {
+    localStorage.setItem(AGGREGATION_STORAGE_KEY, JSON.stringify(aggregation));
+  }, [aggregation]);
 
-    const districtStats = {};
-    Object.entries(byDistrict).forEach(([d, jks]) => {
-      const lastPrices = jks.map(j => j.lastPrice);
-      const avg = Math.round(lastPrices.reduce((a, b) => a + b, 0) / lastPrices.length);
-      districtStats[d] = { count: jks.length, avg, jks };
-    });
+  useEffect(() => {
+    localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+  }, [watchlist]);
 
-    const priceHistory = priceColumns.map(col => {
-      const month = col.replace('Цена ', '');
-      const point = { month };
-      
-      Object.keys(byClass).forEach(cls => {
-        const prices = byClass[cls]
-          .map(jk => parsePrice(rows.find(r => r[COLUMNS.name] === jk.name)?.[col]))
-          .filter(p => p !== null && p > 0);
-        
-        if (prices.length > 0) {
-          point[cls] = Math.round(prices.reduce((a, b) => a + b, 0) / prices.length);
-        }
-      });
-      
-      return point;
-    });
+  useEffect(() => {
+    localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(alerts));
+  }, [alerts]);
+
+  const updateRates = (next) => {
+    setRates(next);
+    if (next === DEFAULT_EXCHANGE_RATES) localStorage.removeItem(EXCHANGE_RATES_STORAGE_KEY);
+    else localStorage.setItem(EXCHANGE_RATES_STORAGE_KEY, JSON.stringify(next));
+  };
+
+  // Границы фильтра цены заданы в валюте отображения — переводим их вместе с ней по курсу последнего месяца
+  const changeCurrency = (next) => {
+    if (next === currency) return;
+    const lastColumn = parsedDataset?.priceColumns[parsedDataset.priceColumns.length - 1];
+    const rate = rateFor(rates, lastColumn ? parseMonthKey(lastColumn) : null);
+    const convert = (value) => (value === null ? null : Math.round(next === 'UZS' ? value * rate : value / rate));
+    setFilters(f => ({ ...f, priceMin: convert(f.priceMin), priceMax: convert(f.priceMax) }));
+    setCurrency(next);
+  };
+
+  const money = (value) => formatMoney(value, currency);
+  const moneyShort = (value) => formatMoneyShort(value, currency);
+
+  // Разбор и проверка в USD/м², затем перевод в валюту отображения
+  // Открытый снимок подменяет текущие данные во всех вкладках
+  const activeData = viewedSnapshot ? viewedSnapshot.data : data;
+
+  const parsedDataset = useMemo(() => {
+    if (!activeData) return null;
+    return parseDataset(activeData, rates);
+  }, [activeData, rates]);
+
+  const dataset = useMemo(() => {
+    if (!parsedDataset) return null;
+    return convertDataset(parsedDataset, currency, rates);
+  }, [parsedDataset, currency, rates]);
+
+  // Анализ всего рынка — для обучения модели и сравнения отдельных ЖК
+  const marketAnalysis = useMemo(() => {
+    if (!dataset || dataset.fatal) return null;
+    return buildAnalysis(dataset.allJK, dataset.priceColumns, aggregation);
+  }, [dataset, aggregation]);
+
+  // Анализ выбранной фильтрами группы ЖК — для метрик, графиков и прогнозов
+  const analysis = useMemo(() => {
+    if (!marketAnalysis) return null;
+    const filtered = filterJK(dataset.allJK, filters);
+    if (filtered.length === dataset.allJK.length) return marketAnalysis;
+    return buildAnalysis(filtered, dataset.priceColumns, aggregation);
+  }, [dataset, marketAnalysis, filters, aggregation]);
+
+  // Карта показывает все районы при остальных фильтрах, чтобы выбранный район было с чем сравнить
+  const mapAnalysis = useMemo(() => {
+    if (!marketAnalysis) return null;
+    if (filters.districts.length === 0) return analysis;
+    return buildAnalysis(filterJK(dataset.allJK, { ...filters, districts: [] }), dataset.priceColumns, aggregation);
+  }, [dataset, marketAnalysis, analysis, filters, aggregation]);
+
+  // Список наблюдения проверяется по загруженным данным, даже если открыт снимок
+  const watchAnalyses = useMemo(() => {
+    if (!data) return null;
+    const parsed = parseDataset(data, rates);
+    if (parsed.fatal) return null;
+    const cache = {};
+    return (cur) => {
+      if (!cache[cur]) cache[cur] = buildAnalysis(convertDataset(parsed, cur, rates).allJK, parsed.priceColumns, aggregation);
+      return cache[cur];
+    };
+  }, [data, rates, aggregation]);
+
+  const evaluatedData = useRef(null);
+  useEffect(() => {
+    if (!watchAnalyses || evaluatedData.current === data) return;
+    evaluatedData.current = data;
+    if (watchlist.length === 0) return;
+
+    const result = evaluateWatchlist(watchlist, watchAnalyses, model, lastUpdate);
+    setWatchlist(result.watchlist);
+    if (result.alerts.length > 0) {
+      setAlerts(list => [...result.alerts, ...list].slice(0, MAX_ALERTS));
+      notifyBrowser(result.alerts);
+    }
+  }, [watchAnalyses]);
 
-    return { classStats, districtStats, allJK, priceColumns, priceHistory };
-  }, [data]);
+  const addWatch = (watch) => {
+    const state = watchState(watch, watchAnalyses(watch.currency), model);
+    const id = `${Date.now()}-${watchlist.length}`;
+    setWatchlist(list => [...list, { ...watch, id, baseline: watchBaseline(state, lastUpdate), last: state }]);
+  };
+
+  const watchTargets = useMemo(() => {
+    if (!watchAnalyses) return null;
+    const market = watchAnalyses('USD');
+    return {
+      jk: market.allJK.map(jk => jk.name).sort((a, b) => a.localeCompare(b, 'ru')),
+      class: Object.keys(market.classStats),
+      district: Object.keys(market.districtStats).sort(),
+    };
+  }, [watchAnalyses]);
+
+  const unreadAlerts = alerts.filter(a => !a.read);
+  const markAlertsRead = () => setAlerts(list => list.map(a => ({ ...a, read: true })));
 
   const forecasts = useMemo(() => {
     if (!analysis) return null;
     
     const byClass = {};
     Object.entries(analysis.classStats).forEach(([cls, stats]) => {
-      const forecast = model.forecast(stats.avg, cls, stats.avgTrend);
-      byClass[cls] = {
-        current: stats.avg,
-        count: stats.count,
-        trend: stats.avgTrend,
-        forecast
-      };
+      byClass[cls] = forecastForClass(model, cls, stats);
     });
 
     return byClass;
   }, [analysis, model]);
 
+  const priceIndex = useMemo(() => {
+    if (!analysis) return null;
+    return buildPriceIndex(analysis, Math.min(indexBase, analysis.priceColumns.length - 1));
+  }, [analysis, indexBase]);
+
+  // Прогнозы для вкладки «Прогноз» в выбранной детализации
+  const groupForecasts = useMemo(() => {
+    if (!analysis) return null;
+    return buildForecastGroups(model, analysis, forecastGranularity);
+  }, [analysis, model, forecastGranularity]);
+
+  // Обученная TSK видела всю историю до отложенной выборки — проверяем модели только на ней
+  const backtestStart = analysis && training ? Math.max(analysis.priceColumns.length - training.holdoutMonths, 1) : 1;
+  const backtest = useMemo(() => {
+    if (!analysis) return null;
+    return runBacktest(model, analysis.allJK, analysis.priceColumns, backtestStart);
+  }, [analysis, model, backtestStart]);
+
+  const trainModel = () => {
+    try {
+      // Обучаем на ценах в USD: в сумах изменения цен смешались бы с движением курса
+      const result = trainTSKModel(parsedDataset.allJK, parsedDataset.priceColumns.length, {
+        holdoutMonths,
+        tuneMemberships,
+        baseParams: tskParams || DEFAULT_TSK_PARAMS,
+      });
+      setTskParams(result.params);
+      setTraining(result);
+      setTrainingError(null);
+    } catch (err) {
+      console.error('❌ Ошибка обучения:', err);
+      setTrainingError(err.message);
+    }
+  };
+
+  // Ручная правка параметров: результат обучения к ним больше не относится
+  const editModel = (params) => {
+    setTskParams(params);
+    setTraining(null);
+    setTrainingError(null);
+  };
+
+  const resetModel = () => {
+    setTskParams(null);
+    setTraining(null);
+    setTrainingError(null);
+  };
+
   if (loading) {
     return (
       <div style={styles.container}>
@@ -539,7 +6128,7 @@ export default function TashkentForecastApp() {
           </div>
           <div style={styles.loading}>
             <div style={{ fontSize: '40px' }}>⏳</div>
-            <p>Загрузка данных из Google Sheets...</p>
+            <p>Загрузка данных: {describeDataSource(source)}...</p>
           </div>
         </div>
       </div>
@@ -555,28 +6144,55 @@ export default function TashkentForecastApp() {
           </div>
           <div style={styles.error}>
             <h3>❌ Ошибка загрузки</h3>
-            <p>{error || 'Не удалось проанализировать данные'}</p>
+            <p>{error || dataset?.fatal || 'Не удалось проанализировать данные'}</p>
             <div style={{ ...styles.buttonGroup, marginTop: '16px' }}>
-              <button onClick={loadData} style={styles.button}>
+              <button onClick={() => loadData()} style={styles.button}>
                 🔄 Попробовать снова
               </button>
-              <a href={SHEETS_URL} target="_blank" rel="noopener noreferrer" style={styles.buttonSecondary}>
-                Открыть исходную таблицу
-              </a>
+              {source.type === 'sheets' && (
+                <a href={getSheetEditUrl(source.sheetId, source.sheetGid)} target="_blank" rel="noopener noreferrer" style={styles.buttonSecondary}>
+                  Открыть исходную таблицу
+                </a>
+              )}
             </div>
           </div>
+          <div style={{ marginTop: '20px' }}>
+            <DataSourcePanel source={source} onLoad={loadData} />
+          </div>
         </div>
       </div>
     );
   }
 
+  const modelDescription = (modelId === 'tsk' ? '' : `Модель прогноза: ${FORECAST_MODELS[modelId].label}; для сравнения — `)
+    + 'Нечёткая нейронная сеть Такаги–Сугено–Канга (TSK): 9 правил «горизонт прогноза × активность рынка». '
+    + 'Прогноз изменения цены — взвешенное среднее выводов правил плюс 30% исторического тренда, умноженное на коэффициент класса. '
+    + 'Активность рынка рассчитывается по доле ЖК, изменивших цену, доле новых ЖК и разбросу месячных изменений. '
+    + (training
+      ? `Параметры обучены на ${training.trainCount} примерах истории цен (${training.trainedAt}).`
+      : tskParams ? 'Параметры правил заданы вручную.' : 'Используются экспертные параметры правил.');
+
+  const selectedJKData = selectedJK ? dataset.allJK.find(jk => jk.name === selectedJK) : null;
+
   const tabs = [
     { id: 'overview', label: 'Обзор' },
+    { id: 'index', label: 'Индекс цен' },
     { id: 'forecast', label: 'Прогноз' },
+    { id: 'invest', label: 'Инвестиции' },
+    { id: 'model', label: 'Модель' },
+    { id: 'backtest', label: 'Бэктест' },
+    { id: 'developers', label: 'Застройщики' },
+    { id: 'map', label: 'Карта' },
+    { id: 'deals', label: 'Выгодные предложения' },
     { id: 'details', label: 'Все ЖК' },
+    { id: 'compare', label: `Сравнение${compareNames.length > 0 ? ` (${compareNames.length})` : ''}` },
+    { id: 'changes', label: 'Изменения' },
+    { id: 'watchlist', label: `Наблюдение${unreadAlerts.length > 0 ? ` 🔔 ${unreadAlerts.length}` : ''}` },
+    { id: 'quality', label: `Качество данных${dataset.issues.length > 0 ? ` (${dataset.issues.length})` : ''}` },
   ];
 
   return (
+    <CurrencyContext.Provider value={currency}>
     <div style={styles.container}>
       <div style={styles.maxWidth}>
         {/* Header */}
@@ -585,20 +6201,93 @@ export default function TashkentForecastApp() {
             <div>
               <h1 style={styles.title}>Прогноз цен на новостройки Ташкента</h1>
               <p style={styles.subtitle}>
-                Общее количество ЖК: {analysis.allJK.length} • Обновлено: {lastUpdate}
+                Общее количество ЖК: {analysis.allJK.length < dataset.allJK.length
+                  ? `${analysis.allJK.length} из ${dataset.allJK.length} (фильтр)`
+                  : analysis.allJK.length} • Обновлено: {lastUpdate}
+                {refreshing && ' • обновление…'}
               </p>
             </div>
             <div style={styles.buttonGroup}>
-              <button onClick={loadData} style={styles.button}>
+              <button onClick={() => loadData()} style={styles.button} disabled={refreshing}>
                 Обновить данные
               </button>
-              <a href={SHEETS_URL} target="_blank" rel="noopener noreferrer" style={styles.buttonSecondary}>
-                Открыть исходную таблицу
-              </a>
+              <button onClick={() => setShowSourcePanel(v => !v)} style={styles.buttonSecondary}>
+                Источник данных
+              </button>
+              <div style={{ display: 'inline-flex' }}>
+                {Object.keys(CURRENCIES).map(c => (
+                  <button
+                    key={c}
+                    onClick={() => changeCurrency(c)}
+                    style={{ ...styles.tab, ...(currency === c ? styles.tabActive : styles.tabInactive), padding: '10px 14px' }}
+                  >
+                    {c}
+                  </button>
+                ))}
+              </div>
+              <button onClick={() => setShowRatesPanel(v => !v)} style={styles.buttonSecondary}>
+                Курсы
+              </button>
+              {source.type === 'sheets' && (
+                <a href={getSheetEditUrl(source.sheetId, source.sheetGid)} target="_blank" rel="noopener noreferrer" style={styles.buttonSecondary}>
+                  Открыть исходную таблицу
+                </a>
+              )}
             </div>
           </div>
+          <div style={{ marginTop: '16px' }}>
+            <ExportBar
+              analysis={analysis}
+              forecasts={forecasts}
+              priceIndex={priceIndex}
+              filters={filters}
+              lastUpdate={lastUpdate}
+              modelDescription={modelDescription}
+              filtered={analysis.allJK.length < dataset.allJK.length}
+              sourceLabel={describeDataSource(source)}
+            />
+          </div>
         </div>
 
+        {staleError && (
+          <div style={{ ...styles.warning, marginBottom: '20px' }}>
+            ⚠️ Данные от {lastUpdate}, устарели: не удалось обновить ({staleError}).
+            <button onClick={() => loadData()} style={{ ...styles.buttonSecondary, marginLeft: '12px', padding: '6px 12px' }}>
+              Повторить
+            </button>
+          </div>
+        )}
+
+        {unreadAlerts.length > 0 && (
+          <div style={{ ...styles.warning, marginBottom: '20px' }}>
+            🔔 {unreadAlerts.slice(0, 3).map(a => `${a.target}: ${a.message}`).join('; ')}
+            {unreadAlerts.length > 3 && ` и ещё ${unreadAlerts.length - 3}`}
+            <button onClick={() => setActiveTab('watchlist')} style={{ ...styles.buttonSecondary, marginLeft: '12px', padding: '6px 12px' }}>
+              Подробнее
+            </button>
+            <button onClick={markAlertsRead} style={{ ...styles.buttonSecondary, marginLeft: '8px', padding: '6px 12px' }}>
+              Скрыть
+            </button>
+          </div>
+        )}
+
+        {viewedSnapshot && (
+          <div style={{ ...styles.warning, marginBottom: '20px' }}>
+            📸 Показан снимок данных от {formatSnapshotDate(viewedSnapshot)}.
+            <button onClick={() => setViewedSnapshot(null)} style={{ ...styles.buttonSecondary, marginLeft: '12px', padding: '6px 12px' }}>
+              Вернуться к текущим данным
+            </button>
+          </div>
+        )}
+
+        {showRatesPanel && (
+          <ExchangeRatesPanel rates={rates} onChange={updateRates} dataset={parsedDataset} />
+        )}
+
+        {showSourcePanel && (
+          <DataSourcePanel source={source} onLoad={(next) => { setShowSourcePanel(false); loadData(next); }} />
+        )}
+
         {/* Метрики по классам */}
         <div style={styles.grid}>
           {Object.entries(analysis.classStats).map(([cls, stats]) => {
@@ -608,13 +6297,17 @@ export default function TashkentForecastApp() {
             return (
               <div key={cls} style={{ ...styles.metricCard, borderLeft: `4px solid ${CLASS_COLORS[cls] || '#6b7280'}` }}>
                 <div style={styles.metricLabel}>{cls}</div>
-                <div style={styles.metricValue}>${stats.avg.toLocaleString()}</div>
+                <div style={styles.metricValue}>{money(stats.avg)}</div>
                 <div style={styles.metricSub}>
-                  {stats.count} ЖК • ${stats.min.toLocaleString()} – ${stats.max.toLocaleString()}
+                  {stats.count} ЖК • {money(stats.min)} – {money(stats.max)}
                 </div>
                 <div style={{ marginTop: '8px', color: stats.avgTrend >= 0 ? '#4ade80' : '#f87171' }}>
-                  Тренд: {stats.avgTrend >= 0 ? '+' : ''}{(stats.avgTrend * 100).toFixed(1)}%
-                  {f24 && <span style={{ marginLeft: '12px' }}>• Прогноз 24м: +{f24.change}%</span>}
+                  Тренд: {stats.avgTrend >= 0 ? '+' : ''}{(stats.avgTrend * 100).toFixed(1)}% в год
+                  {f24 && (
+                    <span style={{ marginLeft: '12px', color: parseFloat(f24.change) >= 0 ? '#4ade80' : '#f87171' }}>
+                      • Прогноз 24м: {formatSignedPercent(parseFloat(f24.change) / 100)}
+                    </span>
+                  )}
                 </div>
               </div>
             );
@@ -638,16 +6331,58 @@ export default function TashkentForecastApp() {
         {activeTab === 'overview' && (
           <>
             <div style={styles.card}>
-              <h2 style={styles.cardTitle}>Динамика цен по классам</h2>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+                <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Динамика цен по классам</h2>
+                <div style={{ ...styles.buttonGroup, alignItems: 'center' }}>
+                  <label style={styles.label}>
+                    Сводная цена:
+                    <select
+                      value={aggregation.method}
+                      onChange={e => setAggregation({ ...aggregation, method: e.target.value })}
+                      style={styles.input}
+                    >
+                      {Object.entries(AGGREGATIONS).map(([key, a]) => <option key={key} value={key}>{a.label}</option>)}
+                    </select>
+                  </label>
+                  <label style={styles.label}>
+                    <input
+                      type="checkbox"
+                      checked={aggregation.constantPanel}
+                      onChange={e => setAggregation({ ...aggregation, constantPanel: e.target.checked })}
+                    />
+                    Постоянная выборка
+                  </label>
+                </div>
+              </div>
+              {aggregation.constantPanel && (
+                <p style={{ ...styles.metricSub, marginBottom: '12px' }}>
+                  Только ЖК с ценой во всех месяцах: {Object.entries(analysis.historyCounts)
+                    .map(([cls, n]) => `${cls} — ${n} из ${analysis.classStats[cls].count}`)
+                    .join(', ')}
+                </p>
+              )}
+              {aggregation.method === 'weighted' && !analysis.allJK.some(jk => jk.units > 0) && (
+                <p style={{ ...styles.metricSub, marginBottom: '12px' }}>
+                  В таблице нет колонки «Квартир» — используется обычное среднее.
+                </p>
+              )}
               <div style={{ height: '350px' }}>
                 <ResponsiveContainer width="100%" height="100%">
                   <LineChart data={analysis.priceHistory}>
                     <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
-                    <XAxis dataKey="month" stroke="#94a3b8" />
-                    <YAxis stroke="#94a3b8" tickFormatter={v => `$${v}`} />
+                    <XAxis
+                      dataKey="t"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      ticks={analysis.timeAxis.times}
+                      tickFormatter={analysis.timeAxis.format}
+                      stroke="#94a3b8"
+                    />
+                    <YAxis stroke="#94a3b8" tickFormatter={moneyShort} />
                     <Tooltip 
                       contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
-                      formatter={(v) => [`$${v?.toLocaleString()}`, '']}
+                      labelFormatter={analysis.timeAxis.format}
+                      formatter={(v) => [money(v), '']}
                     />
                     <Legend />
                     {Object.keys(analysis.classStats).map(cls => (
@@ -667,18 +6402,18 @@ export default function TashkentForecastApp() {
 
             <div style={styles.card}>
               <h2 style={styles.cardTitle}>Средние цены по районам</h2>
-              <div style={{ height: '300px' }}>
+              <div style={{ height: `${Math.max(300, Object.keys(analysis.districtStats).length * 32)}px` }}>
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart 
                     data={Object.entries(analysis.districtStats).map(([d, s]) => ({ district: d, price: s.avg, count: s.count }))}
                     layout="vertical"
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
-                    <XAxis type="number" stroke="#94a3b8" tickFormatter={v => `$${v}`} />
+                    <XAxis type="number" stroke="#94a3b8" tickFormatter={moneyShort} />
                     <YAxis dataKey="district" type="category" width={140} stroke="#94a3b8" tick={{ fontSize: 12 }} />
                     <Tooltip 
                       contentStyle={{ backgroundColor: '#052e16', border: '1px solid #166534' }}
-                      formatter={(v) => [`$${v?.toLocaleString()}`, 'Цена']}
+                      formatter={(v) => [money(v), 'Цена']}
                     />
                     <Bar dataKey="price" radius={[0, 4, 4, 0]}>
                       {Object.keys(analysis.districtStats).map((d, i) => (
@@ -689,19 +6424,51 @@ export default function TashkentForecastApp() {
                 </ResponsiveContainer>
               </div>
             </div>
+
+            {Object.keys(analysis.crossStats).length > 0 && <DistrictClassPanel analysis={analysis} />}
           </>
         )}
 
+        {activeTab === 'index' && priceIndex && (
+          <PriceIndexPanel priceIndex={priceIndex} onBaseChange={setIndexBase} />
+        )}
+
         {/* Forecast Tab */}
-        {activeTab === 'forecast' && forecasts && (
+        {activeTab === 'forecast' && Object.keys(analysis.classStats).length > 0 && (
+          <ModelComparisonPanel
+            modelId={modelId}
+            onModelChange={setModelId}
+            analysis={analysis}
+            tskModel={tskModel}
+            backtestStart={backtestStart}
+          />
+        )}
+
+        {activeTab === 'forecast' && groupForecasts && (
           <div style={styles.card}>
-            <h2 style={styles.cardTitle}>Прогноз на 24 месяца</h2>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+              <h2 style={{ ...styles.cardTitle, marginBottom: 0 }}>Прогноз на 24 месяца</h2>
+              <div style={{ display: 'inline-flex' }}>
+                {Object.entries(FORECAST_GRANULARITIES).map(([key, g]) => (
+                  <button
+                    key={key}
+                    onClick={() => setForecastGranularity(key)}
+                    style={{ ...styles.tab, ...(forecastGranularity === key ? styles.tabActive : styles.tabInactive), padding: '8px 14px' }}
+                  >
+                    {g.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ overflowX: 'auto', maxHeight: '600px' }}>
             <table style={styles.table}>
               <thead>
                 <tr>
-                  <th style={styles.th}>Класс</th>
+                  <th style={styles.th}>{FORECAST_GRANULARITIES[forecastGranularity].label}</th>
+                  <th style={styles.th}>ЖК</th>
                   <th style={styles.th}>Сейчас</th>
-                  <th style={styles.th}>Тренд</th>
+                  <th style={styles.th}>Тренд в год</th>
+                  <th style={styles.th}>Активность</th>
                   <th style={styles.th}>+6 мес</th>
                   <th style={styles.th}>+12 мес</th>
                   <th style={styles.th}>+18 мес</th>
@@ -709,50 +6476,153 @@ export default function TashkentForecastApp() {
                 </tr>
               </thead>
               <tbody>
-                {Object.entries(forecasts).map(([cls, data]) => (
-                  <tr key={cls}>
+                {Object.entries(groupForecasts).map(([key, data]) => (
+                  <tr key={key}>
                     <td style={styles.td}>
-                      <span style={{ ...styles.badge, backgroundColor: `${CLASS_COLORS[cls]}30`, color: CLASS_COLORS[cls] }}>
-                        {cls}
+                      <span style={{ ...styles.badge, backgroundColor: `${data.color}30`, color: data.color }}>
+                        {data.label}
                       </span>
                     </td>
-                    <td style={{ ...styles.td, fontWeight: '600' }}>${data.current.toLocaleString()}</td>
+                    <td style={styles.td}>{data.count}</td>
+                    <td style={{ ...styles.td, fontWeight: '600' }}>{money(data.current)}</td>
                     <td style={{ ...styles.td, color: data.trend >= 0 ? '#4ade80' : '#f87171' }}>
                       {data.trend >= 0 ? '+' : ''}{(data.trend * 100).toFixed(1)}%
                     </td>
+                    <td style={styles.td}>{data.activity.value.toFixed(2)}</td>
                     {data.forecast.map((f, i) => (
                       <td key={i} style={styles.td}>
-                        ${f.price.toLocaleString()}
-                        <span style={{ color: '#4ade80', marginLeft: '6px', fontSize: '12px' }}>+{f.change}%</span>
+                        {money(f.price)}
+                        <span style={{ color: parseFloat(f.change) >= 0 ? '#4ade80' : '#f87171', marginLeft: '6px', fontSize: '12px' }}>
+                          {formatSignedPercent(parseFloat(f.change) / 100)}
+                        </span>
+                        <div style={{ color: '#64748b', fontSize: '12px' }}>
+                          {money(f.lower)} – {money(f.upper)}
+                        </div>
                       </td>
                     ))}
                   </tr>
                 ))}
               </tbody>
             </table>
+            </div>
           </div>
         )}
 
-        {/* Details Tab */}
-        {activeTab === 'details' && (
+        {activeTab === 'forecast' && groupForecasts && Object.keys(groupForecasts).length > 0 && (
+          <ForecastScenariosPanel forecasts={groupForecasts} timeAxis={analysis.timeAxis} />
+        )}
+
+        {activeTab === 'forecast' && forecasts && (
+          <MarketActivityPanel forecasts={forecasts} districtStats={analysis.districtStats} />
+        )}
+
+        {activeTab === 'forecast' && (
+          <ModelTrainingPanel
+            training={training}
+            trainingError={trainingError}
+            params={tskModel.getParams()}
+            maxHoldout={Math.max(analysis.priceColumns.length - 1, 1)}
+            holdoutMonths={holdoutMonths}
+            onHoldoutChange={setHoldoutMonths}
+            tuneMemberships={tuneMemberships}
+            onTuneChange={setTuneMemberships}
+            onTrain={trainModel}
+            onReset={resetModel}
+          />
+        )}
+
+        {activeTab === 'model' && (
+          <TSKSettingsPanel
+            params={tskParams || DEFAULT_TSK_PARAMS}
+            analysis={analysis}
+            modelId={modelId}
+            onChange={editModel}
+            onReset={resetModel}
+          />
+        )}
+
+        {/* Backtest Tab */}
+        {activeTab === 'backtest' && backtest && (
+          <BacktestPanel
+            backtest={backtest}
+            classes={Object.keys(analysis.classStats)}
+            timeAxis={analysis.timeAxis}
+            holdoutLabel={backtestStart > 1 ? analysis.timeAxis.labels[backtestStart] : null}
+          />
+        )}
+
+        {/* Developers Tab */}
+        {activeTab === 'developers' && (
+          <DeveloperPanel developerStats={analysis.developerStats} timeAxis={analysis.timeAxis} />
+        )}
+
+        {/* Map Tab */}
+        {activeTab === 'map' && (
+          <DistrictMapPanel
+            analysis={mapAnalysis}
+            model={model}
+            selected={filters.districts}
+            onSelectDistrict={(d) => {
+              setFilters({ ...filters, districts: [d] });
+              setSelectedJK(null);
+              setActiveTab('details');
+            }}
+            onSelectJK={(name) => {
+              setSelectedJK(name);
+              setActiveTab('details');
+            }}
+          />
+        )}
+
+        {activeTab === 'details' && selectedJKData && (
+          <JKDetailView jk={selectedJKData} analysis={marketAnalysis} model={model} onBack={() => setSelectedJK(null)} />
+        )}
+
+        {activeTab === 'details' && !selectedJKData && (
           <div style={styles.card}>
             <h2 style={styles.cardTitle}>Все ЖК ({analysis.allJK.length})</h2>
+            <JKFilters
+              filters={filters}
+              onChange={setFilters}
+              classes={dataset.classes}
+              districts={dataset.districts}
+            />
+            <div style={{ ...styles.buttonGroup, alignItems: 'center', marginBottom: '12px' }}>
+              <span style={styles.metricSub}>
+                Нажмите на строку, чтобы открыть карточку ЖК с прогнозом; отметьте до {MAX_COMPARE} ЖК для сравнения
+              </span>
+              {compareNames.length > 0 && (
+                <button onClick={() => setActiveTab('compare')} style={{ ...styles.button, padding: '6px 12px' }}>
+                  Сравнить ({compareNames.length})
+                </button>
+              )}
+            </div>
             <div style={{ overflowX: 'auto', maxHeight: '500px' }}>
               <table style={styles.table}>
                 <thead>
                   <tr>
-                    <th style={styles.th}>ЖК</th>
-                    <th style={styles.th}>Класс</th>
-                    <th style={styles.th}>Район</th>
-                    {analysis.priceColumns.map(col => (
-                      <th key={col} style={styles.th}>{col.replace('Цена ', '')}</th>
+                    <th style={styles.th}></th>
+                    <SortHeader label="ЖК" sortKey="name" filters={filters} onChange={setFilters} />
+                    <SortHeader label="Класс" sortKey="class" filters={filters} onChange={setFilters} />
+                    <SortHeader label="Район" sortKey="district" filters={filters} onChange={setFilters} />
+                    <SortHeader label="Застройщик" sortKey="developer" filters={filters} onChange={setFilters} />
+                    {analysis.priceColumns.map((col, index) => (
+                      <SortHeader key={col} label={col.replace('Цена ', '')} sortKey={`price:${index}`} filters={filters} onChange={setFilters} />
                     ))}
-                    <th style={styles.th}>Тренд</th>
+                    <SortHeader label="Тренд в год" sortKey="trend" filters={filters} onChange={setFilters} />
                   </tr>
                 </thead>
                 <tbody>
-                  {analysis.allJK.map((jk, i) => (
-                    <tr key={i}>
+                  {sortJK(analysis.allJK, filters.sortKey, filters.sortDir).map((jk, i) => (
+                    <tr key={i} onClick={() => setSelectedJK(jk.name)} style={{ cursor: 'pointer' }}>
+                      <td style={styles.td} onClick={e => e.stopPropagation()}>
+                        <input
+                          type="checkbox"
+                          checked={compareNames.includes(jk.name)}
+                          disabled={!compareNames.includes(jk.name) && compareNames.length >= MAX_COMPARE}
+                          onChange={() => toggleCompare(jk.name)}
+                        />
+                      </td>
                       <td style={{ ...styles.td, fontWeight: '500' }}>{jk.name}</td>
                       <td style={styles.td}>
                         <span style={{ ...styles.badge, backgroundColor: `${CLASS_COLORS[jk.class]}30`, color: CLASS_COLORS[jk.class] }}>
@@ -760,12 +6630,11 @@ export default function TashkentForecastApp() {
                         </span>
                       </td>
                       <td style={styles.td}>{jk.district || '—'}</td>
-                      {jk.prices.map((p, j) => (
-                        <td key={j} style={styles.td}>${p.toLocaleString()}</td>
-                      ))}
-                      {Array(analysis.priceColumns.length - jk.prices.length).fill(0).map((_, j) => (
-                        <td key={`empty-${j}`} style={styles.td}>—</td>
-                      ))}
+                      <td style={styles.td}>{jk.developer || '—'}</td>
+                      {analysis.priceColumns.map((col, index) => {
+                        const price = priceAt(jk, index);
+                        return <td key={col} style={styles.td}>{money(price)}</td>;
+                      })}
                       <td style={{ ...styles.td, color: jk.trend >= 0 ? '#4ade80' : '#f87171' }}>
                         {jk.prices.length > 1 ? `${jk.trend >= 0 ? '+' : ''}${jk.trendPercent}%` : '—'}
                       </td>
@@ -777,11 +6646,71 @@ export default function TashkentForecastApp() {
           </div>
         )}
 
+        {activeTab === 'compare' && (
+          <CompareView
+            names={compareNames}
+            allJK={dataset.allJK}
+            analysis={marketAnalysis}
+            model={model}
+            onRemove={toggleCompare}
+            onClear={() => setCompareNames([])}
+            onOpen={(name) => {
+              setSelectedJK(name);
+              setActiveTab('details');
+            }}
+          />
+        )}
+
+        {activeTab === 'deals' && (
+          <ValueFinderPanel
+            marketAnalysis={marketAnalysis}
+            analysis={analysis}
+            onSelectJK={(name) => {
+              setSelectedJK(name);
+              setActiveTab('details');
+            }}
+          />
+        )}
+
+        {activeTab === 'invest' && (
+          <InvestmentCalculator analysis={analysis} model={model} />
+        )}
+
+        {activeTab === 'watchlist' && watchTargets && (
+          <WatchlistPanel
+            watchlist={watchlist}
+            alerts={alerts}
+            targets={watchTargets}
+            onAdd={addWatch}
+            onRemove={(id) => setWatchlist(list => list.filter(w => w.id !== id))}
+            onMarkRead={markAlertsRead}
+            onClearAlerts={() => setAlerts([])}
+          />
+        )}
+
+        {activeTab === 'changes' && (
+          <ChangesPanel snapshots={snapshots} rates={rates} viewedSnapshot={viewedSnapshot} onView={setViewedSnapshot} />
+        )}
+
+        {/* Quality Tab */}
+        {activeTab === 'quality' && (
+          <DataQualityPanel issues={dataset.issues} unmatchedDistricts={dataset.unmatchedDistricts} source={source} />
+        )}
+
         {/* Footer */}
         <div style={{ marginTop: '40px', textAlign: 'center', color: '#64748b', fontSize: '13px' }}>
-          <p>Модель: Нечёткая нейронная сеть TSK • Источник: Google Sheets</p>
+          <p>
+            Модель: {modelId === 'tsk' ? 'Нечёткая нейронная сеть TSK' : FORECAST_MODELS[modelId].label}
+            {['tsk', 'ensemble'].includes(modelId) && (training
+              ? ` (TSK обучена на ${training.trainCount} примерах)`
+              : tskParams ? ' (TSK с параметрами, заданными вручную)' : ' (TSK с экспертными параметрами)')}
+            {' '}• Цены за м², {CURRENCIES[currency].label}
+            {' '}• Сводная цена: {AGGREGATIONS[aggregation.method].label.toLowerCase()}{aggregation.constantPanel && ', постоянная выборка'}
+            {' '}• Источник: {describeDataSource(source)}
+          </p>
         </div>
       </div>
     </div>
+    </CurrencyContext.Provider>
   );
 }
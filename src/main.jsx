@@ -8,3 +8,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <TashkentForecastApp />
   </React.StrictMode>,
 )
+
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker не зарегистрирован:', err))
+  })
+}
@@ -3,4 +3,8 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  build: {
+    // Список собранных файлов для service worker (public/sw.js кэширует их при установке)
+    manifest: 'asset-manifest.json',
+  },
 })